@@ -0,0 +1,268 @@
+/**
+ * Add the newest-first listing indexes to existing tables and backfill their keys
+ *
+ * Order, rider, customer and refund lists are paged through these GSIs (see src/pagination.js):
+ *   orders:    listKey-createdAt-index, status-createdAt-index, customerPhone-createdAt-index,
+ *              listKey-deliveryKey-index, riderId-createdAt-index
+ *   riders:    approvalStatus-createdAt-index
+ *   customers: role-createdAt-index (USERS_TABLE)
+ *   refunds:   listKey-createdAt-index, status-createdAt-index, customerPhone-createdAt-index
+ * Items only appear in an index once they carry its keys, so older records get:
+ *   orders    listKey = 'order', customerPhone (from customer.phone), the order search
+ *             fields deliveryKey, searchText, itemSearch and mealSlot (see src/orderSearch.js),
+ *             and a null riderId (unassigned) is removed
+ *   riders    approvalStatus = 'approved' (they predate the approval workflow) and createdAt
+ *   customers createdAt
+ *   refunds   listKey = 'refund', and a null customerPhone is removed
+ * A missing createdAt is taken from joinedAt/updatedAt, or the epoch (listed last).
+ *
+ * Usage:
+ *   node scripts/backfill-list-indexes.js          # dry run, prints the plan
+ *   node scripts/backfill-list-indexes.js --apply  # creates the indexes and backfills
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const AWS = require('aws-sdk');
+const { LIST_KEYS } = require('../src/pagination');
+const { buildSearchFields } = require('../src/orderSearch');
+
+const awsConfig = {
+    region: process.env.AWS_REGION || 'ap-south-1',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+};
+const dynamoDB = new AWS.DynamoDB.DocumentClient(awsConfig);
+const dynamoAdmin = new AWS.DynamoDB(awsConfig);
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
+const REFUNDS_TABLE = process.env.DYNAMODB_REFUNDS_TABLE || 'satvamirtham-refunds';
+
+const APPLY = process.argv.includes('--apply');
+
+const EPOCH = new Date(0).toISOString();
+
+// Index builds are polled until they finish; DynamoDB allows one build per table at a time
+const INDEX_POLL_MS = 15000;
+
+const INDEXES = [
+    { table: ORDERS_TABLE, hashKey: 'listKey', rangeKey: 'createdAt' },
+    { table: ORDERS_TABLE, hashKey: 'status', rangeKey: 'createdAt' },
+    { table: ORDERS_TABLE, hashKey: 'customerPhone', rangeKey: 'createdAt' },
+    { table: ORDERS_TABLE, hashKey: 'listKey', rangeKey: 'deliveryKey' },
+    { table: ORDERS_TABLE, hashKey: 'riderId', rangeKey: 'createdAt' },
+    { table: RIDERS_TABLE, hashKey: 'approvalStatus', rangeKey: 'createdAt' },
+    { table: USERS_TABLE, hashKey: 'role', rangeKey: 'createdAt' },
+    { table: REFUNDS_TABLE, hashKey: 'listKey', rangeKey: 'createdAt' },
+    { table: REFUNDS_TABLE, hashKey: 'status', rangeKey: 'createdAt' },
+    { table: REFUNDS_TABLE, hashKey: 'customerPhone', rangeKey: 'createdAt' }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const scanAll = async (params) => {
+    const items = [];
+    let lastKey;
+    do {
+        const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastKey }).promise();
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    return items;
+};
+
+const waitForIndex = async (tableName, indexName) => {
+    for (;;) {
+        const { Table } = await dynamoAdmin.describeTable({ TableName: tableName }).promise();
+        const index = (Table.GlobalSecondaryIndexes || []).find(gsi => gsi.IndexName === indexName);
+        if (index && index.IndexStatus === 'ACTIVE') {
+            return;
+        }
+        console.log(`   ⏳ ${tableName}/${indexName}: ${index ? index.IndexStatus : 'pending'}`);
+        await sleep(INDEX_POLL_MS);
+    }
+};
+
+const ensureIndex = async ({ table, hashKey, rangeKey }) => {
+    const indexName = `${hashKey}-${rangeKey}-index`;
+    const { Table } = await dynamoAdmin.describeTable({ TableName: table }).promise();
+
+    if ((Table.GlobalSecondaryIndexes || []).some(gsi => gsi.IndexName === indexName)) {
+        console.log(`✅ ${table}/${indexName} exists`);
+        return;
+    }
+
+    if (!APPLY) {
+        console.log(`📋 ${table}/${indexName} would be created`);
+        return;
+    }
+
+    const onDemand = Table.BillingModeSummary && Table.BillingModeSummary.BillingMode === 'PAY_PER_REQUEST';
+    await dynamoAdmin.updateTable({
+        TableName: table,
+        AttributeDefinitions: [
+            { AttributeName: hashKey, AttributeType: 'S' },
+            { AttributeName: rangeKey, AttributeType: 'S' }
+        ],
+        GlobalSecondaryIndexUpdates: [{
+            Create: {
+                IndexName: indexName,
+                KeySchema: [
+                    { AttributeName: hashKey, KeyType: 'HASH' },
+                    { AttributeName: rangeKey, KeyType: 'RANGE' }
+                ],
+                Projection: { ProjectionType: 'ALL' },
+                ...(!onDemand && { ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 } })
+            }
+        }]
+    }).promise();
+
+    console.log(`🔧 ${table}/${indexName} creating...`);
+    await waitForIndex(table, indexName);
+    console.log(`✅ ${table}/${indexName} active`);
+};
+
+/**
+ * SET the given attributes where they are still missing
+ * A null value instead REMOVEs an attribute stored as null (index keys can't be null)
+ */
+const backfill = async (tableName, key, updates) => {
+    const names = {};
+    const values = {};
+    const sets = [];
+    const removes = [];
+    const conditions = [];
+    Object.entries(updates).forEach(([attr, value], i) => {
+        names[`#a${i}`] = attr;
+        if (value === null) {
+            values[':null'] = 'NULL';
+            removes.push(`#a${i}`);
+            conditions.push(`attribute_type(#a${i}, :null)`);
+            return;
+        }
+        values[`:v${i}`] = value;
+        sets.push(`#a${i} = :v${i}`);
+        conditions.push(`attribute_not_exists(#a${i})`);
+    });
+
+    try {
+        await dynamoDB.update({
+            TableName: tableName,
+            Key: key,
+            UpdateExpression: [
+                sets.length > 0 && `SET ${sets.join(', ')}`,
+                removes.length > 0 && `REMOVE ${removes.join(', ')}`
+            ].filter(Boolean).join(' '),
+            ConditionExpression: conditions.join(' AND '),
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false; // Written meanwhile by the app
+        }
+        throw error;
+    }
+};
+
+const missingCreatedAt = (item) => (item.createdAt ? {} : { createdAt: item.joinedAt || item.updatedAt || EPOCH });
+
+/**
+ * Search fields an order is still missing (anonymized orders get no name/address text)
+ */
+const missingSearchFields = (item) => {
+    const fields = buildSearchFields({ ...item, createdAt: item.createdAt || item.updatedAt || EPOCH });
+    const missing = {};
+    Object.keys(fields).forEach((attr) => {
+        if (item[attr] === undefined && !(attr === 'searchText' && item.customerAnonymizedAt)) {
+            missing[attr] = fields[attr];
+        }
+    });
+    return missing;
+};
+
+const PLANS = [
+    {
+        label: 'orders',
+        table: ORDERS_TABLE,
+        key: item => ({ id: item.id }),
+        updates: item => ({
+            ...(!item.listKey && { listKey: LIST_KEYS.orders }),
+            ...(!item.customerPhone && item.customer && item.customer.phone && { customerPhone: item.customer.phone }),
+            ...(item.riderId === null && { riderId: null }),
+            ...missingCreatedAt(item),
+            ...missingSearchFields(item)
+        })
+    },
+    {
+        label: 'riders',
+        table: RIDERS_TABLE,
+        key: item => ({ id: item.id }),
+        updates: item => ({
+            ...(!item.approvalStatus && { approvalStatus: 'approved' }),
+            ...missingCreatedAt(item)
+        })
+    },
+    {
+        label: 'customers',
+        table: USERS_TABLE,
+        key: item => ({ phone: item.phone }),
+        updates: item => (item.role === 'user' ? missingCreatedAt(item) : {})
+    },
+    {
+        label: 'refunds',
+        table: REFUNDS_TABLE,
+        key: item => ({ id: item.id }),
+        updates: item => ({
+            ...(!item.listKey && { listKey: LIST_KEYS.refunds }),
+            ...(item.customerPhone === null && { customerPhone: null }),
+            ...missingCreatedAt(item)
+        })
+    }
+];
+
+const main = async () => {
+    console.log(`🚀 List index backfill (${APPLY ? 'APPLY' : 'DRY RUN'})`);
+
+    if (!USERS_TABLE) {
+        throw new Error('DYNAMODB_TABLE is not set');
+    }
+
+    for (const index of INDEXES) {
+        await ensureIndex(index);
+    }
+
+    for (const plan of PLANS) {
+        const items = await scanAll({ TableName: plan.table });
+        const pending = items
+            .map(item => ({ item, updates: plan.updates(item) }))
+            .filter(({ updates }) => Object.keys(updates).length > 0);
+
+        console.log(`📋 ${plan.label}: ${pending.length} of ${items.length} record(s) need backfilling`);
+
+        if (!APPLY) {
+            pending.slice(0, 20).forEach(({ item, updates }) => {
+                console.log(`   ${JSON.stringify(plan.key(item))}: ${Object.keys(updates).join(', ')}`);
+            });
+            continue;
+        }
+
+        let updated = 0;
+        for (const { item, updates } of pending) {
+            if (await backfill(plan.table, plan.key(item), updates)) {
+                updated++;
+            }
+        }
+        console.log(`✅ ${plan.label}: ${updated} record(s) backfilled`);
+    }
+
+    console.log(APPLY ? '🎉 Backfill complete.' : 'ℹ️ Dry run only. Re-run with --apply to create indexes and backfill.');
+};
+
+main().catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Cancel prepaid orders that were never paid
+ *
+ * Cancels online-payment orders still unpaid after PAYMENT_TIMEOUT_MINUTES
+ * (default 15) that have not been picked up yet, and gives back their coupon
+ * uses. Meant to run every few minutes (cron / scheduler).
+ *
+ * Usage:
+ *   node scripts/cancel-unpaid-orders.js          # dry run, lists unpaid orders
+ *   node scripts/cancel-unpaid-orders.js --apply  # cancels them
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { findUnpaidOrdersDue, cancelUnpaidOrders } = require('../src/payments');
+
+const APPLY = process.argv.includes('--apply');
+
+const main = async () => {
+    console.log(`🚀 Unpaid order cancellation (${APPLY ? 'APPLY' : 'DRY RUN'})`);
+
+    if (!APPLY) {
+        const due = await findUnpaidOrdersDue();
+        console.log(`📋 ${due.length} unpaid order(s) past their payment window`);
+        due.forEach((order) => {
+            console.log(`   ${order.id} (${order.paymentStatus}, due by ${order.paymentDueBy}, ${order.totalAmount} INR)`);
+        });
+        console.log('ℹ️ Dry run only. Re-run with --apply to cancel.');
+        return;
+    }
+
+    const { cancelled, skipped } = await cancelUnpaidOrders();
+    cancelled.forEach(id => console.log(`✅ ${id}: cancelled`));
+    skipped.forEach(id => console.log(`⚠️ ${id}: skipped (changed meanwhile)`));
+    console.log(`🎉 Cancelled ${cancelled.length} order(s).`);
+};
+
+main().catch((error) => {
+    console.error('❌ Cancellation failed:', error);
+    process.exit(1);
+});
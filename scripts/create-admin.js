@@ -0,0 +1,73 @@
+/**
+ * Bootstrap an admin account (e.g. the first super-admin)
+ *
+ * Usage:
+ *   node scripts/create-admin.js --email ops@example.com --name "Ops Lead" [--role super-admin]
+ *
+ * The password is read from ADMIN_PASSWORD or prompted for interactively.
+ * Prints the TOTP secret/URI and backup codes once - store them securely.
+ */
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { createAdminAccount, ADMIN_ROLES } = require('../src/adminService');
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+};
+
+const promptPassword = () => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    // Don't echo the password back to the terminal
+    rl._writeToOutput = (text) => {
+        if (text.includes('Password')) {
+            rl.output.write(text);
+        }
+    };
+    rl.question('Password: ', (answer) => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+    });
+});
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const role = args.role || 'super-admin';
+
+    if (!args.email || !args.name) {
+        console.error('Usage: node scripts/create-admin.js --email <email> --name <name> [--role <role>]');
+        console.error(`Roles: ${ADMIN_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+
+    try {
+        const { admin, totp, backupCodes } = await createAdminAccount(
+            { email: args.email, name: args.name, password, role },
+            'bootstrap-cli'
+        );
+
+        console.log('='.repeat(60));
+        console.log(`✅ Admin created: ${admin.email} (${admin.role})`);
+        console.log('🔐 TOTP secret:', totp.secret);
+        console.log('🔗 otpauth URI:', totp.otpauthUri);
+        console.log('🧾 Backup codes (single use):');
+        backupCodes.forEach(code => console.log(`   ${code}`));
+        console.log('='.repeat(60));
+    } catch (error) {
+        console.error('❌ Failed to create admin:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
@@ -12,15 +12,45 @@ const dynamoDB = new AWS.DynamoDB();
 
 const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
 const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
+const SESSIONS_TABLE = process.env.DYNAMODB_SESSIONS_TABLE || 'satvamirtham-sessions';
+const OTP_TABLE = process.env.DYNAMODB_OTP_TABLE || 'satvamirtham-otps';
+const LOGIN_ATTEMPTS_TABLE = process.env.DYNAMODB_LOGIN_ATTEMPTS_TABLE || 'satvamirtham-login-attempts';
+const AUDIT_TABLE = process.env.DYNAMODB_AUDIT_TABLE || 'satvamirtham-audit';
+const ADMINS_TABLE = process.env.DYNAMODB_ADMINS_TABLE || 'satvamirtham-admins';
+const RIDER_PHONES_TABLE = process.env.DYNAMODB_RIDER_PHONES_TABLE || 'satvamirtham-rider-phones';
+const ADDRESSES_TABLE = process.env.DYNAMODB_ADDRESSES_TABLE || 'satvamirtham-addresses';
+const REFUNDS_TABLE = process.env.DYNAMODB_REFUNDS_TABLE || 'satvamirtham-refunds';
+const IDEMPOTENCY_TABLE = process.env.DYNAMODB_IDEMPOTENCY_TABLE || 'satvamirtham-idempotency';
+const COUNTERS_TABLE = process.env.DYNAMODB_COUNTERS_TABLE || 'satvamirtham-counters';
+const SUBSCRIPTIONS_TABLE = process.env.DYNAMODB_SUBSCRIPTIONS_TABLE || 'satvamirtham-subscriptions';
+const COUPONS_TABLE = process.env.DYNAMODB_COUPONS_TABLE || 'satvamirtham-coupons';
+const COUPON_REDEMPTIONS_TABLE = process.env.DYNAMODB_COUPON_REDEMPTIONS_TABLE || 'satvamirtham-coupon-redemptions';
+const PAYMENTS_TABLE = process.env.DYNAMODB_PAYMENTS_TABLE || 'satvamirtham-payments';
+
+/**
+ * Create a table keyed by a string partition key ("id" unless options.hashKey is given)
+ * @param {string} tableName
+ * @param {Object} [options]
+ * @param {string} [options.hashKey] - partition key attribute name (default "id")
+ * @param {string} [options.rangeKey] - optional string sort key attribute name
+ * @param {Array<string|Object>} [options.indexes] - GSIs to create: a string attribute for a hash-only
+ *   "<attr>-index", or { hashKey, rangeKey } for a "<hashKey>-<rangeKey>-index" (both strings)
+ * @param {string} [options.ttlAttribute] - attribute to enable DynamoDB TTL on
+ */
+const createTable = async (tableName, options = {}) => {
+    const hashKey = options.hashKey || 'id';
+    const indexes = (options.indexes || []).map(index => (typeof index === 'string' ? { hashKey: index } : index));
+    const keyAttributes = options.rangeKey ? [hashKey, options.rangeKey] : [hashKey];
+    const indexAttributes = indexes.flatMap(index => (index.rangeKey ? [index.hashKey, index.rangeKey] : [index.hashKey]));
 
-const createTable = async (tableName) => {
     const params = {
         TableName: tableName,
         KeySchema: [
-            { AttributeName: 'id', KeyType: 'HASH' } // Partition key
+            { AttributeName: hashKey, KeyType: 'HASH' }, // Partition key
+            ...(options.rangeKey ? [{ AttributeName: options.rangeKey, KeyType: 'RANGE' }] : []) // Sort key
         ],
         AttributeDefinitions: [
-            { AttributeName: 'id', AttributeType: 'S' }
+            ...[...new Set([...keyAttributes, ...indexAttributes])].map(attr => ({ AttributeName: attr, AttributeType: 'S' }))
         ],
         ProvisionedThroughput: {
             ReadCapacityUnits: 5,
@@ -28,6 +58,21 @@ const createTable = async (tableName) => {
         }
     };
 
+    if (indexes.length > 0) {
+        params.GlobalSecondaryIndexes = indexes.map(index => ({
+            IndexName: index.rangeKey ? `${index.hashKey}-${index.rangeKey}-index` : `${index.hashKey}-index`,
+            KeySchema: [
+                { AttributeName: index.hashKey, KeyType: 'HASH' },
+                ...(index.rangeKey ? [{ AttributeName: index.rangeKey, KeyType: 'RANGE' }] : [])
+            ],
+            Projection: { ProjectionType: 'ALL' },
+            ProvisionedThroughput: {
+                ReadCapacityUnits: 5,
+                WriteCapacityUnits: 5
+            }
+        }));
+    }
+
     try {
         await dynamoDB.createTable(params).promise();
         console.log(`✅ Table "${tableName}" created successfully.`);
@@ -36,14 +81,61 @@ const createTable = async (tableName) => {
             console.log(`⚠️ Table "${tableName}" already exists.`);
         } else {
             console.error(`❌ Error creating table "${tableName}":`, error);
+            return;
+        }
+    }
+
+    if (options.ttlAttribute) {
+        try {
+            await dynamoDB.waitFor('tableExists', { TableName: tableName }).promise();
+            await dynamoDB.updateTimeToLive({
+                TableName: tableName,
+                TimeToLiveSpecification: { AttributeName: options.ttlAttribute, Enabled: true }
+            }).promise();
+            console.log(`✅ TTL enabled on "${tableName}.${options.ttlAttribute}".`);
+        } catch (error) {
+            if (error.code === 'ValidationException') {
+                console.log(`⚠️ TTL already configured on "${tableName}".`);
+            } else {
+                console.error(`❌ Error enabling TTL on "${tableName}":`, error);
+            }
         }
     }
 };
 
 const init = async () => {
     console.log('🚀 Initializing DynamoDB Tables...');
-    await createTable(ORDERS_TABLE);
-    await createTable(RIDERS_TABLE);
+    // Newest-first listing indexes (existing tables get them from scripts/backfill-list-indexes.js)
+    await createTable(ORDERS_TABLE, {
+        indexes: [
+            { hashKey: 'listKey', rangeKey: 'createdAt' },
+            { hashKey: 'status', rangeKey: 'createdAt' },
+            { hashKey: 'customerPhone', rangeKey: 'createdAt' },
+            { hashKey: 'listKey', rangeKey: 'deliveryKey' },
+            { hashKey: 'riderId', rangeKey: 'createdAt' }
+        ]
+    });
+    await createTable(RIDERS_TABLE, { indexes: [{ hashKey: 'approvalStatus', rangeKey: 'createdAt' }] });
+    await createTable(RIDER_PHONES_TABLE, { hashKey: 'phone' });
+    await createTable(SESSIONS_TABLE, { indexes: ['subject'], ttlAttribute: 'ttl' });
+    await createTable(OTP_TABLE, { ttlAttribute: 'ttl' });
+    await createTable(LOGIN_ATTEMPTS_TABLE, { ttlAttribute: 'ttl' });
+    await createTable(AUDIT_TABLE);
+    await createTable(ADMINS_TABLE, { hashKey: 'email' });
+    await createTable(ADDRESSES_TABLE, { hashKey: 'userPhone', rangeKey: 'id' });
+    await createTable(REFUNDS_TABLE, {
+        indexes: [
+            { hashKey: 'listKey', rangeKey: 'createdAt' },
+            { hashKey: 'status', rangeKey: 'createdAt' },
+            { hashKey: 'customerPhone', rangeKey: 'createdAt' }
+        ]
+    });
+    await createTable(IDEMPOTENCY_TABLE, { ttlAttribute: 'ttl' });
+    await createTable(COUNTERS_TABLE, { ttlAttribute: 'ttl' });
+    await createTable(SUBSCRIPTIONS_TABLE, { indexes: ['customerPhone'] });
+    await createTable(COUPONS_TABLE, { hashKey: 'code' });
+    await createTable(COUPON_REDEMPTIONS_TABLE);
+    await createTable(PAYMENTS_TABLE, { indexes: ['orderId'] });
     console.log('🎉 Initialization complete.');
 };
 
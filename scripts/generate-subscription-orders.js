@@ -0,0 +1,43 @@
+/**
+ * Generate the orders of meal subscriptions
+ *
+ * Creates one order per meal type for every live subscription delivering on the
+ * target date (default: SUBSCRIPTION_GENERATE_DAYS_AHEAD days from today, IST). The
+ * orders wait as scheduled pre-orders until released to the kitchen. Each date is
+ * generated once per subscription, so re-running is safe. Meant to run daily
+ * (cron / scheduler).
+ *
+ * Usage:
+ *   node scripts/generate-subscription-orders.js
+ *   node scripts/generate-subscription-orders.js --date=2024-04-23
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { generateSubscriptionOrders } = require('../src/subscriptions');
+
+const dateArg = process.argv.find(arg => arg.startsWith('--date='));
+
+const main = async () => {
+    const summary = await generateSubscriptionOrders(dateArg ? dateArg.slice('--date='.length) : undefined);
+
+    console.log(`🚀 Subscription orders for ${summary.date}`);
+    summary.generated.forEach((entry) => {
+        console.log(`✅ ${entry.subscriptionId}: ${entry.orderIds.join(', ')}`);
+    });
+    summary.missing.forEach((entry) => {
+        console.log(`⚠️ ${entry.subscriptionId}: no package on the menu for ${entry.mealTypes.join(', ')}`);
+    });
+    summary.failed.forEach((entry) => {
+        console.error(`❌ ${entry.subscriptionId}: ${entry.error}`);
+    });
+    if (summary.ended > 0) {
+        console.log(`ℹ️ ${summary.ended} subscription(s) past their end date marked as ended`);
+    }
+    console.log(`🎉 Created ${summary.ordersCreated} order(s).`);
+};
+
+main().catch((error) => {
+    console.error('❌ Generation failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,206 @@
+/**
+ * Consolidate rider identities into RIDERS_TABLE + the rider phone index
+ *
+ * Before: self-registered riders had credentials in USERS_TABLE (role 'rider', riderId link)
+ * and a profile in RIDERS_TABLE; admin-created riders kept their password on the profile.
+ * After: every rider's profile and password hash live in RIDERS_TABLE, each phone maps to
+ * exactly one rider in RIDER_PHONES_TABLE, and the USERS_TABLE rider rows are removed
+ * (rows whose rider did not end up owning the phone are listed as conflicts and kept).
+ *
+ * Usage:
+ *   node scripts/migrate-rider-identities.js          # dry run, prints the plan
+ *   node scripts/migrate-rider-identities.js --apply  # performs the migration
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const AWS = require('aws-sdk');
+const { revokeAllSessions } = require('../src/tokenService');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION || 'ap-south-1',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
+const RIDER_PHONES_TABLE = process.env.DYNAMODB_RIDER_PHONES_TABLE || 'satvamirtham-rider-phones';
+
+const APPLY = process.argv.includes('--apply');
+
+const scanAll = async (params) => {
+    const items = [];
+    let lastKey;
+    do {
+        const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastKey }).promise();
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    return items;
+};
+
+/**
+ * Pick the rider that keeps a phone number when several riders share it:
+ * active first, then one that can log in, then most deliveries, then the oldest
+ */
+const pickCanonical = (riders) => {
+    return [...riders].sort((a, b) =>
+        (b.isActive === true) - (a.isActive === true)
+        || (!!b.password) - (!!a.password)
+        || (b.totalDeliveries || 0) - (a.totalDeliveries || 0)
+        || new Date(a.joinedAt || a.createdAt) - new Date(b.joinedAt || b.createdAt)
+    )[0];
+};
+
+const main = async () => {
+    console.log(`🚀 Rider identity migration (${APPLY ? 'APPLY' : 'DRY RUN'})`);
+
+    const riders = await scanAll({ TableName: RIDERS_TABLE });
+    const legacyUsers = await scanAll({
+        TableName: USERS_TABLE,
+        FilterExpression: '#role = :rider',
+        ExpressionAttributeNames: { '#role': 'role' },
+        ExpressionAttributeValues: { ':rider': 'rider' }
+    });
+
+    const ridersById = new Map(riders.map(rider => [rider.id, rider]));
+    // Legacy USERS_TABLE phone -> rider that took over its credentials
+    const legacyRiderIds = new Map();
+    // Phone -> rider that ended up indexed as its owner
+    const phoneOwners = new Map();
+    const summary = { credentialsMerged: 0, profilesCreated: 0, duplicatesDeactivated: 0, phonesClaimed: 0, legacyRowsRemoved: 0, conflicts: [] };
+
+    // 1. Move credentials from USERS_TABLE onto the rider record
+    for (const user of legacyUsers) {
+        const now = new Date().toISOString();
+        let rider = user.riderId && ridersById.get(user.riderId);
+
+        if (!rider) {
+            // Auth row without a profile: rebuild a minimal profile
+            rider = {
+                id: user.riderId || `RDR${Date.now()}${Math.floor(Math.random() * 1000)}`,
+                name: user.name,
+                phone: user.phone,
+                email: user.email || '',
+                vehicleType: 'Bike',
+                vehicleNumber: '',
+                status: 'offline',
+                currentOrderId: null,
+                totalDeliveries: 0,
+                rating: 5.0,
+                isActive: user.isActive !== false,
+                joinedAt: user.createdAt || now,
+                createdAt: user.createdAt || now,
+                updatedAt: now
+            };
+            summary.profilesCreated += 1;
+        } else if (rider.password) {
+            // Profile already has credentials (admin-created); the legacy row is redundant
+            console.log(`⚠️ ${user.phone}: rider ${rider.id} already has a password, keeping it`);
+        } else {
+            summary.credentialsMerged += 1;
+        }
+
+        const merged = {
+            ...rider,
+            password: rider.password || user.password,
+            email: rider.email || user.email || '',
+            migratedFromUsersTable: true,
+            updatedAt: now
+        };
+        ridersById.set(merged.id, merged);
+        legacyRiderIds.set(user.phone, merged.id);
+
+        if (APPLY) {
+            await dynamoDB.put({ TableName: RIDERS_TABLE, Item: merged }).promise();
+        }
+    }
+
+    // 2. One rider per phone
+    const byPhone = new Map();
+    for (const rider of ridersById.values()) {
+        if (!rider.phone) {
+            summary.conflicts.push(`Rider ${rider.id} has no phone number`);
+            continue;
+        }
+        byPhone.set(rider.phone, [...(byPhone.get(rider.phone) || []), rider]);
+    }
+
+    for (const [phone, group] of byPhone) {
+        const canonical = pickCanonical(group);
+
+        for (const duplicate of group.filter(rider => rider.id !== canonical.id)) {
+            console.log(`🔁 ${phone}: deactivating duplicate rider ${duplicate.id} (keeping ${canonical.id})`);
+            summary.duplicatesDeactivated += 1;
+
+            if (APPLY) {
+                await dynamoDB.update({
+                    TableName: RIDERS_TABLE,
+                    Key: { id: duplicate.id },
+                    UpdateExpression: 'SET isActive = :false, duplicateOf = :canonical, updatedAt = :now',
+                    ExpressionAttributeValues: {
+                        ':false': false,
+                        ':canonical': canonical.id,
+                        ':now': new Date().toISOString()
+                    }
+                }).promise();
+                await revokeAllSessions(`rider#${duplicate.id}`, 'rider_merged');
+            }
+        }
+
+        if (APPLY) {
+            try {
+                await dynamoDB.put({
+                    TableName: RIDER_PHONES_TABLE,
+                    Item: { phone, riderId: canonical.id, createdAt: new Date().toISOString() },
+                    ConditionExpression: 'attribute_not_exists(phone) OR riderId = :riderId',
+                    ExpressionAttributeValues: { ':riderId': canonical.id }
+                }).promise();
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                summary.conflicts.push(`${phone} is already claimed by another rider; left ${canonical.id} unindexed`);
+                continue;
+            }
+        }
+        phoneOwners.set(phone, canonical.id);
+        summary.phonesClaimed += 1;
+    }
+
+    // 3. Drop the USERS_TABLE rider rows now that credentials live on the rider record
+    // Only where that rider owns the phone in the index; otherwise the legacy row is the
+    // only record of the login and is kept for manual review
+    for (const user of legacyUsers) {
+        const riderId = legacyRiderIds.get(user.phone);
+
+        if (phoneOwners.get(user.phone) !== riderId) {
+            summary.conflicts.push(`${user.phone}: rider ${riderId} is not the indexed owner of this phone; kept the USERS_TABLE row`);
+            continue;
+        }
+
+        if (APPLY) {
+            await dynamoDB.delete({
+                TableName: USERS_TABLE,
+                Key: { phone: user.phone },
+                ConditionExpression: '#role = :rider',
+                ExpressionAttributeNames: { '#role': 'role' },
+                ExpressionAttributeValues: { ':rider': 'rider' }
+            }).promise();
+        }
+        summary.legacyRowsRemoved += 1;
+    }
+
+    console.log('='.repeat(60));
+    console.log('📊 Summary:', JSON.stringify({ ...summary, conflicts: summary.conflicts.length }, null, 2));
+    summary.conflicts.forEach(conflict => console.log(`❌ ${conflict}`));
+    if (!APPLY) {
+        console.log('ℹ️ Dry run only. Re-run with --apply to migrate.');
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
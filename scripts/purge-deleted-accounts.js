@@ -0,0 +1,56 @@
+/**
+ * Purge customer accounts whose deletion grace period has ended
+ *
+ * Anonymizes the customer on their orders, payments and refunds, deletes saved addresses,
+ * subscriptions, coupon redemptions, verification codes, login counters and the user record,
+ * and revokes their sessions. Accounts with orders in progress or refunds still pending are
+ * skipped until a later run. Meant to run daily (cron / scheduler).
+ *
+ * Usage:
+ *   node scripts/purge-deleted-accounts.js          # dry run, lists accounts due
+ *   node scripts/purge-deleted-accounts.js --apply  # performs the purge
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { findAccountsDueForPurge, purgeCustomerAccount } = require('../src/customerData');
+
+const APPLY = process.argv.includes('--apply');
+
+const main = async () => {
+    console.log(`🚀 Account purge (${APPLY ? 'APPLY' : 'DRY RUN'})`);
+
+    const due = await findAccountsDueForPurge();
+    console.log(`📋 ${due.length} account(s) due for deletion`);
+
+    let purged = 0;
+    for (const user of due) {
+        if (!APPLY) {
+            console.log(`   ${user.phone} (scheduled for ${user.deletionScheduledFor})`);
+            continue;
+        }
+
+        try {
+            const result = await purgeCustomerAccount(user.phone);
+            if (result.purged) {
+                purged += 1;
+                console.log(`✅ ${user.phone}: ${result.ordersAnonymized} order(s) anonymized, ${result.addressesDeleted} address(es) deleted`);
+            } else {
+                console.log(`⚠️ ${user.phone}: skipped (${result.reason})`);
+            }
+        } catch (error) {
+            console.error(`❌ ${user.phone}: purge failed:`, error.message);
+        }
+    }
+
+    if (APPLY) {
+        console.log(`🎉 Purged ${purged} of ${due.length} account(s).`);
+    } else {
+        console.log('ℹ️ Dry run only. Re-run with --apply to purge.');
+    }
+};
+
+main().catch((error) => {
+    console.error('❌ Purge failed:', error);
+    process.exit(1);
+});
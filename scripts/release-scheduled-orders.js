@@ -0,0 +1,41 @@
+/**
+ * Release scheduled pre-orders to the kitchen
+ *
+ * Moves 'scheduled' orders whose release time (slot start minus
+ * ORDER_RELEASE_LEAD_MINUTES) has passed to 'placed'. Meant to run every few
+ * minutes (cron / scheduler).
+ *
+ * Usage:
+ *   node scripts/release-scheduled-orders.js          # dry run, lists orders due
+ *   node scripts/release-scheduled-orders.js --apply  # releases them
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { findOrdersDueForRelease, releaseDueOrders } = require('../src/orderSchedule');
+
+const APPLY = process.argv.includes('--apply');
+
+const main = async () => {
+    console.log(`🚀 Scheduled order release (${APPLY ? 'APPLY' : 'DRY RUN'})`);
+
+    if (!APPLY) {
+        const due = await findOrdersDueForRelease();
+        console.log(`📋 ${due.length} order(s) due for release`);
+        due.forEach((order) => {
+            console.log(`   ${order.id} (${order.deliveryDate} ${order.mealSlot}, release at ${order.releaseAt})`);
+        });
+        console.log('ℹ️ Dry run only. Re-run with --apply to release.');
+        return;
+    }
+
+    const { released, skipped } = await releaseDueOrders();
+    released.forEach(id => console.log(`✅ ${id}: released to the kitchen`));
+    skipped.forEach(id => console.log(`⚠️ ${id}: skipped (changed meanwhile)`));
+    console.log(`🎉 Released ${released.length} order(s).`);
+};
+
+main().catch((error) => {
+    console.error('❌ Release failed:', error);
+    process.exit(1);
+});
@@ -12,16 +12,43 @@ const singlesHandler = require('./src/singles');
 const ordersHandler = require('./src/orders');
 const ridersHandler = require('./src/riders');
 const usersHandler = require('./src/users');
+const sessionsHandler = require('./src/sessions');
+const otpHandler = require('./src/otp');
+const passwordHandler = require('./src/password');
+const lockoutsHandler = require('./src/lockouts');
+const adminAuthHandler = require('./src/adminAuth');
+const meHandler = require('./src/me');
+const addressesHandler = require('./src/addresses');
+const orderCancellationHandler = require('./src/orderCancellation');
+const refundsHandler = require('./src/refunds');
+const orderScheduleHandler = require('./src/orderSchedule');
+const subscriptionsHandler = require('./src/subscriptions');
+const couponsHandler = require('./src/coupons');
+const invoicesHandler = require('./src/invoices');
+const paymentsHandler = require('./src/payments');
+const { idempotency } = require('./src/idempotency');
+const { ROLES, ADMIN_ROLES, requireRole, requireSelfRider } = require('./src/authMiddleware');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy/load balancer, set TRUST_PROXY (e.g. "1") so req.ip is the client IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS || '*',
   credentials: true
 }));
-app.use(bodyParser.json());
+// Keep the raw JSON body: payment webhooks are signed over the exact bytes received
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -49,25 +76,74 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Auth Routes
+// Route policies (see src/authMiddleware.js)
+const superAdmin = requireRole(ROLES.SUPER_ADMIN);
+const anyAdmin = requireRole(...ADMIN_ROLES);
+const catalogAdmin = requireRole(ROLES.SUPER_ADMIN, ROLES.KITCHEN_MANAGER);
+const dispatchAdmin = requireRole(ROLES.SUPER_ADMIN, ROLES.DISPATCHER);
+const riderOnly = requireRole(ROLES.RIDER);
+const customerOnly = requireRole(ROLES.CUSTOMER);
+const customerOrRider = requireRole(ROLES.CUSTOMER, ROLES.RIDER);
+const adminOrRider = requireRole(...ADMIN_ROLES, ROLES.RIDER);
+const dispatchOrRider = requireRole(ROLES.SUPER_ADMIN, ROLES.DISPATCHER, ROLES.RIDER);
+const adminOrCustomer = requireRole(...ADMIN_ROLES, ROLES.CUSTOMER);
+const anyAccount = requireRole(...ADMIN_ROLES, ROLES.RIDER, ROLES.CUSTOMER);
+
 // Auth Routes
 app.post('/api/auth/register', registerHandler);
 app.post('/api/auth/login', loginHandler);
+app.post('/api/auth/refresh', sessionsHandler.refreshSession);
+app.post('/api/auth/logout', sessionsHandler.logout);
+app.get('/api/auth/sessions', anyAccount, sessionsHandler.getMySessions);
+app.delete('/api/auth/sessions', anyAccount, sessionsHandler.revokeMySessions);
+app.delete('/api/auth/sessions/:id', anyAccount, sessionsHandler.revokeMySession);
+app.post('/api/auth/otp/request', otpHandler.requestPhoneOtp);
+app.post('/api/auth/otp/verify', otpHandler.verifyPhoneOtp);
+app.post('/api/auth/password/forgot', passwordHandler.forgotPassword);
+app.post('/api/auth/password/reset', passwordHandler.resetPassword);
+app.post('/api/auth/password/change', customerOrRider, passwordHandler.changePassword);
+app.post('/api/auth/lockouts/:phone/unlock', superAdmin, lockoutsHandler.unlockLogin);
+
+// Customer Profile Routes
+app.get('/api/me', customerOnly, meHandler.getMe);
+app.patch('/api/me', customerOnly, meHandler.updateMe);
+app.delete('/api/me', customerOnly, meHandler.requestAccountDeletion);
+app.get('/api/me/export', customerOnly, meHandler.exportMyData);
+app.post('/api/me/deletion/cancel', customerOnly, meHandler.cancelMyAccountDeletion);
+app.get('/api/me/addresses', customerOnly, addressesHandler.getMyAddresses);
+app.post('/api/me/addresses', customerOnly, addressesHandler.createAddress);
+app.patch('/api/me/addresses/:id', customerOnly, addressesHandler.updateAddress);
+app.delete('/api/me/addresses/:id', customerOnly, addressesHandler.deleteAddress);
+app.post('/api/me/subscriptions/quote', customerOnly, subscriptionsHandler.quoteSubscription);
+app.get('/api/me/subscriptions', customerOnly, subscriptionsHandler.getMySubscriptions);
+app.post('/api/me/subscriptions', customerOnly, subscriptionsHandler.createSubscription);
+app.get('/api/me/subscriptions/:id', customerOnly, subscriptionsHandler.getMySubscription);
+app.post('/api/me/subscriptions/:id/skip', customerOnly, subscriptionsHandler.skipSubscriptionDate);
+app.delete('/api/me/subscriptions/:id/skip/:date', customerOnly, subscriptionsHandler.unskipSubscriptionDate);
+app.post('/api/me/subscriptions/:id/pause', customerOnly, subscriptionsHandler.pauseSubscription);
+app.post('/api/me/subscriptions/:id/resume', customerOnly, subscriptionsHandler.resumeSubscription);
+app.post('/api/me/subscriptions/:id/cancel', customerOnly, subscriptionsHandler.cancelSubscription);
+
+// Admin Auth Routes (admin accounts are created by a super-admin or scripts/create-admin.js)
+app.post('/api/admin/auth/login', adminAuthHandler.loginAdmin);
+app.post('/api/admin/auth/backup-codes', anyAdmin, adminAuthHandler.regenerateMyBackupCodes);
+app.get('/api/admin/users', superAdmin, adminAuthHandler.getAllAdmins);
+app.post('/api/admin/users', superAdmin, adminAuthHandler.createAdmin);
+app.patch('/api/admin/users/:email/status', superAdmin, adminAuthHandler.updateAdminStatus);
 
-// Rider Auth Routes
 // Rider Auth Routes
 const riderAuth = require('./src/riderAuth');
 app.post('/api/rider/auth/register', riderAuth.registerRider);
 app.post('/api/rider/auth/login', riderAuth.loginRider);
-app.post('/api/rider/auth/fcm', riderAuth.updateFCMToken);
+app.post('/api/rider/auth/fcm', riderOnly, riderAuth.updateFCMToken);
 
 // Legacy Menu Routes (for backward compatibility)
 app.get('/api/menu', menuHandler.getAllMenuItems);
 app.get('/api/menu/day/:day', menuHandler.getItemsByDay);
 app.get('/api/menu/:id', menuHandler.getMenuItemById);
-app.post('/api/menu', menuHandler.createMenuItem);
-app.put('/api/menu/:id', menuHandler.updateMenuItem);
-app.delete('/api/menu/:id', menuHandler.deleteMenuItem);
+app.post('/api/menu', catalogAdmin, menuHandler.createMenuItem);
+app.put('/api/menu/:id', catalogAdmin, menuHandler.updateMenuItem);
+app.delete('/api/menu/:id', catalogAdmin, menuHandler.deleteMenuItem);
 
 // ============================================
 // NEW ADMIN PANEL ROUTES
@@ -77,54 +153,83 @@ app.delete('/api/menu/:id', menuHandler.deleteMenuItem);
 app.get('/api/packages', packagesHandler.getAllPackages);
 app.get('/api/packages/day/:day', packagesHandler.getPackagesByDay);
 app.get('/api/packages/:id', packagesHandler.getPackageById);
-app.post('/api/packages', packagesHandler.createPackage);
-app.put('/api/packages/:id', packagesHandler.updatePackage);
-app.delete('/api/packages/:id', packagesHandler.deletePackage);
+app.post('/api/packages', catalogAdmin, packagesHandler.createPackage);
+app.put('/api/packages/:id', catalogAdmin, packagesHandler.updatePackage);
+app.delete('/api/packages/:id', catalogAdmin, packagesHandler.deletePackage);
 
 // Single Meals Routes
 app.get('/api/singles/categories', singlesHandler.getCategories);
 app.get('/api/singles', singlesHandler.getAllSingles);
 app.get('/api/singles/category/:category', singlesHandler.getSinglesByCategory);
 app.get('/api/singles/:id', singlesHandler.getSingleById);
-app.post('/api/singles', singlesHandler.createSingle);
-app.put('/api/singles/:id', singlesHandler.updateSingle);
-app.patch('/api/singles/:id/visibility', singlesHandler.toggleVisibility);
-app.delete('/api/singles/:id', singlesHandler.deleteSingle);
+app.post('/api/singles', catalogAdmin, singlesHandler.createSingle);
+app.put('/api/singles/:id', catalogAdmin, singlesHandler.updateSingle);
+app.patch('/api/singles/:id/visibility', catalogAdmin, singlesHandler.toggleVisibility);
+app.delete('/api/singles/:id', catalogAdmin, singlesHandler.deleteSingle);
 
 // Orders Routes
-app.get('/api/orders/stats', ordersHandler.getOrderStats);
-app.get('/api/orders', ordersHandler.getAllOrders);
-app.get('/api/orders/status/:status', ordersHandler.getOrdersByStatus);
-app.get('/api/orders/:id', ordersHandler.getOrderById);
-app.post('/api/orders', ordersHandler.createOrder);
-app.patch('/api/orders/:id/status', ordersHandler.updateOrderStatus);
-app.patch('/api/orders/:id/assign', ordersHandler.assignRider);
+app.get('/api/orders/stats', anyAdmin, ordersHandler.getOrderStats);
+app.get('/api/orders', anyAccount, ordersHandler.getAllOrders);
+app.get('/api/orders/status/:status', anyAdmin, ordersHandler.getOrdersByStatus);
+app.get('/api/orders/:id', anyAccount, ordersHandler.getOrderById);
+app.get('/api/orders/:id/invoice', adminOrCustomer, invoicesHandler.getOrderInvoice);
+app.post('/api/orders', adminOrCustomer, idempotency('create-order'), ordersHandler.createOrder);
+app.post('/api/orders/quote', adminOrCustomer, ordersHandler.quoteOrder);
+app.post('/api/orders/scheduled/release', anyAdmin, orderScheduleHandler.releaseScheduledOrders);
+app.patch('/api/orders/:id/status', adminOrRider, ordersHandler.updateOrderStatus);
+app.patch('/api/orders/:id/assign', dispatchAdmin, ordersHandler.assignRider);
+app.post('/api/orders/:id/cancel', customerOnly, orderCancellationHandler.cancelOrder);
+app.post('/api/orders/:id/payment', customerOnly, paymentsHandler.createPaymentIntent);
+app.get('/api/orders/:id/payments', adminOrCustomer, paymentsHandler.getOrderPayments);
+
+// Payment Routes (the webhook is authenticated by the gateway's signature, not a login)
+app.post('/api/payments/webhook', paymentsHandler.handlePaymentWebhook);
+app.post('/api/payments/cancel-unpaid', anyAdmin, paymentsHandler.cancelUnpaidOrdersHandler);
+
+// Subscription Routes (customers manage theirs under /api/me/subscriptions)
+app.get('/api/subscriptions', anyAdmin, subscriptionsHandler.getAllSubscriptions);
+app.post('/api/subscriptions/generate', anyAdmin, subscriptionsHandler.generateOrders);
+
+// Coupon Routes
+app.post('/api/coupons/validate', adminOrCustomer, couponsHandler.validateCoupon);
+app.get('/api/coupons', superAdmin, couponsHandler.getCoupons);
+app.get('/api/coupons/:code', superAdmin, couponsHandler.getCouponByCode);
+app.post('/api/coupons', superAdmin, couponsHandler.createCoupon);
+app.patch('/api/coupons/:code', superAdmin, couponsHandler.updateCoupon);
+app.delete('/api/coupons/:code', superAdmin, couponsHandler.deleteCoupon);
+
+// Refund Routes (records are created when paid orders are cancelled)
+app.get('/api/refunds', superAdmin, refundsHandler.getRefunds);
+app.patch('/api/refunds/:id/status', superAdmin, refundsHandler.updateRefundStatus);
 
 // Riders Routes
-app.get('/api/riders/stats', ridersHandler.getRiderStats);
-app.get('/api/riders/available', ridersHandler.getAvailableRiders);
-app.get('/api/riders', ridersHandler.getAllRiders);
-app.get('/api/riders/:id', ridersHandler.getRiderById);
-app.post('/api/riders', ridersHandler.createRider);
-app.put('/api/riders/:id', ridersHandler.updateRider);
-app.patch('/api/riders/:id/status', ridersHandler.updateRiderStatus);
-app.delete('/api/riders/:id', ridersHandler.deleteRider);
+app.get('/api/riders/stats', dispatchAdmin, ridersHandler.getRiderStats);
+app.get('/api/riders/available', dispatchAdmin, ridersHandler.getAvailableRiders);
+app.get('/api/riders/applications', dispatchAdmin, ridersHandler.getRiderApplications);
+app.patch('/api/riders/applications/:id/approve', dispatchAdmin, ridersHandler.approveRiderApplication);
+app.patch('/api/riders/applications/:id/reject', dispatchAdmin, ridersHandler.rejectRiderApplication);
+app.get('/api/riders', dispatchAdmin, ridersHandler.getAllRiders);
+app.get('/api/riders/:id', dispatchOrRider, requireSelfRider(), ridersHandler.getRiderById);
+app.post('/api/riders', dispatchAdmin, ridersHandler.createRider);
+app.put('/api/riders/:id', dispatchAdmin, ridersHandler.updateRider);
+app.patch('/api/riders/:id/status', dispatchOrRider, requireSelfRider(), ridersHandler.updateRiderStatus);
+app.delete('/api/riders/:id', dispatchAdmin, ridersHandler.deleteRider);
 
 // Users Routes
-app.get('/api/users/stats', usersHandler.getUserStats);
-app.get('/api/users', usersHandler.getAllUsers);
-app.get('/api/users/:phone', usersHandler.getUserByPhone);
-app.patch('/api/users/:phone/status', usersHandler.updateUserStatus);
+app.get('/api/users/stats', superAdmin, usersHandler.getUserStats);
+app.get('/api/users', superAdmin, usersHandler.getAllUsers);
+app.get('/api/users/:phone', superAdmin, usersHandler.getUserByPhone);
+app.patch('/api/users/:phone/status', superAdmin, usersHandler.updateUserStatus);
 
 // ============================================
 // DEBUG/TEST ROUTES (Remove in production)
 // ============================================
-app.get('/api/test/firebase-status', (req, res) => {
+app.get('/api/test/firebase-status', superAdmin, (req, res) => {
   const { getFirebaseStatus } = require('./src/firebaseService');
   res.json(getFirebaseStatus());
 });
 
-app.get('/api/test/notification/:riderId', async (req, res) => {
+app.get('/api/test/notification/:riderId', superAdmin, async (req, res) => {
   try {
     const { riderId } = req.params;
     const AWS = require('aws-sdk');
@@ -214,7 +319,7 @@ app.listen(PORT, () => {
   console.log(`🔗 API URL: http://localhost:${PORT}`);
   console.log('='.repeat(60));
   console.log('📦 Available Routes:');
-  console.log('   - Auth: /api/auth/register, /api/auth/login');
+  console.log('   - Auth: /api/auth/register, /api/auth/login, /api/auth/refresh, /api/auth/logout');
   console.log('   - Packages: /api/packages');
   console.log('   - Singles: /api/singles');
   console.log('   - Orders: /api/orders');
@@ -0,0 +1,416 @@
+const AWS = require('aws-sdk');
+const { generateId } = require('./ids');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+// Keyed by (userPhone, id) so a customer's address book is a single query
+const ADDRESSES_TABLE = process.env.DYNAMODB_ADDRESSES_TABLE || 'satvamirtham-addresses';
+
+const MAX_ADDRESSES_PER_USER = 10;
+const MAX_LABEL_LENGTH = 30;
+const MAX_LINE_LENGTH = 200;
+
+// Structured fields a customer may set on an address
+const ADDRESS_FIELDS = ['label', 'line1', 'landmark', 'area', 'pincode', 'lat', 'lng'];
+
+/**
+ * Validate address fields
+ * @param {Object} input
+ * @param {boolean} partial - true for updates, where required fields may be omitted
+ * @returns {string|null} error message
+ */
+const validateAddressInput = (input, partial = false) => {
+    const unknown = Object.keys(input).filter(key => !ADDRESS_FIELDS.includes(key) && key !== 'isDefault');
+    if (unknown.length > 0) {
+        return `Unknown address fields: ${unknown.join(', ')}`;
+    }
+
+    const isSet = (key) => input[key] !== undefined;
+    const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.trim().length <= max;
+
+    for (const key of ['label', 'line1', 'area', 'pincode']) {
+        if (!partial && !isSet(key)) {
+            return 'Label, line1, area and pincode are required';
+        }
+    }
+
+    if (isSet('label') && !isText(input.label, MAX_LABEL_LENGTH)) {
+        return `Label must be 1-${MAX_LABEL_LENGTH} characters`;
+    }
+    if (isSet('line1') && !isText(input.line1, MAX_LINE_LENGTH)) {
+        return `Address line must be 1-${MAX_LINE_LENGTH} characters`;
+    }
+    if (isSet('area') && !isText(input.area, MAX_LINE_LENGTH)) {
+        return `Area must be 1-${MAX_LINE_LENGTH} characters`;
+    }
+    if (isSet('landmark') && input.landmark !== null && (typeof input.landmark !== 'string' || input.landmark.length > MAX_LINE_LENGTH)) {
+        return `Landmark must be at most ${MAX_LINE_LENGTH} characters`;
+    }
+    if (isSet('pincode') && !/^[1-9]\d{5}$/.test(String(input.pincode))) {
+        return 'Pincode must be a valid 6-digit PIN code';
+    }
+    if (isSet('isDefault') && typeof input.isDefault !== 'boolean') {
+        return 'isDefault must be true or false';
+    }
+
+    // Coordinates are optional but only meaningful as a pair
+    if (isSet('lat') !== isSet('lng')) {
+        return 'Latitude and longitude must be provided together';
+    }
+    if (isSet('lat') && input.lat !== null) {
+        const lat = Number(input.lat);
+        const lng = Number(input.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return 'Invalid latitude/longitude';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Normalise validated input into stored attribute values
+ */
+const buildAddressFields = (input) => {
+    const fields = {};
+    ADDRESS_FIELDS.forEach((key) => {
+        if (input[key] === undefined) {
+            return;
+        }
+        if (key === 'lat' || key === 'lng') {
+            fields[key] = input[key] === null ? null : Number(input[key]);
+        } else if (key === 'pincode') {
+            fields[key] = String(input[key]);
+        } else {
+            fields[key] = input[key] === null ? null : input[key].trim();
+        }
+    });
+    return fields;
+};
+
+/**
+ * Single-line form of an address, used for order.customer.address and rider apps
+ */
+const formatAddress = (address) => {
+    return [address.line1, address.landmark, address.area, address.pincode]
+        .filter(Boolean)
+        .join(', ');
+};
+
+const listAddresses = async (userPhone) => {
+    const result = await dynamoDB.query({
+        TableName: ADDRESSES_TABLE,
+        KeyConditionExpression: 'userPhone = :phone',
+        ExpressionAttributeValues: { ':phone': userPhone }
+    }).promise();
+
+    return result.Items || [];
+};
+
+const getAddress = async (userPhone, id) => {
+    const result = await dynamoDB.get({
+        TableName: ADDRESSES_TABLE,
+        Key: { userPhone, id }
+    }).promise();
+
+    return result.Item || null;
+};
+
+/**
+ * Resolve one of a customer's saved addresses into the snapshot stored on an order
+ * Later edits to the address book do not change orders already placed.
+ * @returns {Promise<Object|null>} null if the address does not exist for this customer
+ */
+const resolveOrderAddress = async (userPhone, addressId) => {
+    const address = await getAddress(userPhone, addressId);
+    if (!address) {
+        return null;
+    }
+
+    return {
+        addressId: address.id,
+        label: address.label,
+        line1: address.line1,
+        landmark: address.landmark || null,
+        area: address.area,
+        pincode: address.pincode,
+        lat: address.lat === undefined ? null : address.lat,
+        lng: address.lng === undefined ? null : address.lng,
+        formatted: formatAddress(address)
+    };
+};
+
+/**
+ * Make addressId the only default address, clearing the previous default in the same transaction
+ */
+const setDefaultAddress = async (userPhone, addressId, addresses) => {
+    const now = new Date().toISOString();
+    const TransactItems = addresses
+        .filter(address => address.isDefault && address.id !== addressId)
+        .map(address => ({
+            Update: {
+                TableName: ADDRESSES_TABLE,
+                Key: { userPhone, id: address.id },
+                UpdateExpression: 'SET isDefault = :false, updatedAt = :now',
+                ExpressionAttributeValues: { ':false': false, ':now': now }
+            }
+        }));
+
+    TransactItems.push({
+        Update: {
+            TableName: ADDRESSES_TABLE,
+            Key: { userPhone, id: addressId },
+            UpdateExpression: 'SET isDefault = :true, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(id)',
+            ExpressionAttributeValues: { ':true': true, ':now': now }
+        }
+    });
+
+    await dynamoDB.transactWrite({ TransactItems }).promise();
+};
+
+/**
+ * Sort default first, then most recently created
+ */
+const sortAddresses = (addresses) => {
+    return [...addresses].sort((a, b) =>
+        (b.isDefault === true) - (a.isDefault === true)
+        || new Date(b.createdAt) - new Date(a.createdAt)
+    );
+};
+
+/**
+ * List the logged-in customer's saved addresses (default first)
+ * @route GET /api/me/addresses
+ */
+const getMyAddresses = async (req, res) => {
+    try {
+        const addresses = await listAddresses(req.user.phone);
+
+        res.status(200).json({
+            success: true,
+            count: addresses.length,
+            data: sortAddresses(addresses)
+        });
+
+    } catch (error) {
+        console.error('Get addresses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch addresses',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Add an address; the first address (or one sent with isDefault: true) becomes the default
+ * @route POST /api/me/addresses
+ */
+const createAddress = async (req, res) => {
+    try {
+        const validationError = validateAddressInput(req.body || {});
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const userPhone = req.user.phone;
+        const existing = await listAddresses(userPhone);
+
+        if (existing.length >= MAX_ADDRESSES_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can save at most ${MAX_ADDRESSES_PER_USER} addresses`
+            });
+        }
+
+        const now = new Date().toISOString();
+        const makeDefault = existing.length === 0 || req.body.isDefault === true;
+        const address = {
+            userPhone,
+            id: generateId('ADR'),
+            landmark: null,
+            lat: null,
+            lng: null,
+            ...buildAddressFields(req.body),
+            isDefault: false,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await dynamoDB.put({
+            TableName: ADDRESSES_TABLE,
+            Item: address,
+            ConditionExpression: 'attribute_not_exists(id)'
+        }).promise();
+
+        if (makeDefault) {
+            await setDefaultAddress(userPhone, address.id, existing);
+            address.isDefault = true;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Address saved successfully',
+            data: address
+        });
+
+    } catch (error) {
+        console.error('Create address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save address',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Update an address; isDefault: true moves the default flag here
+ * @route PATCH /api/me/addresses/:id
+ */
+const updateAddress = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userPhone = req.user.phone;
+        const input = req.body || {};
+
+        const validationError = validateAddressInput(input, true);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (input.isDefault === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Set another address as default instead of unsetting this one'
+            });
+        }
+
+        const addresses = await listAddresses(userPhone);
+        const address = addresses.find(item => item.id === id);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const fields = buildAddressFields(input);
+        let updated = address;
+
+        if (Object.keys(fields).length > 0) {
+            const expressionNames = {};
+            const expressionValues = { ':updatedAt': new Date().toISOString() };
+            const setParts = Object.keys(fields).map((key) => {
+                expressionNames[`#${key}`] = key;
+                expressionValues[`:${key}`] = fields[key];
+                return `#${key} = :${key}`;
+            });
+
+            const result = await dynamoDB.update({
+                TableName: ADDRESSES_TABLE,
+                Key: { userPhone, id },
+                UpdateExpression: `SET ${setParts.join(', ')}, updatedAt = :updatedAt`,
+                ConditionExpression: 'attribute_exists(id)',
+                ExpressionAttributeNames: expressionNames,
+                ExpressionAttributeValues: expressionValues,
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            updated = result.Attributes;
+        }
+
+        if (input.isDefault === true && !address.isDefault) {
+            await setDefaultAddress(userPhone, id, addresses);
+            updated = { ...updated, isDefault: true };
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Address updated successfully',
+            data: updated
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        console.error('Update address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update address',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Delete an address; if it was the default, the newest remaining address takes over
+ * @route DELETE /api/me/addresses/:id
+ */
+const deleteAddress = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userPhone = req.user.phone;
+
+        const result = await dynamoDB.delete({
+            TableName: ADDRESSES_TABLE,
+            Key: { userPhone, id },
+            ConditionExpression: 'attribute_exists(id)',
+            ReturnValues: 'ALL_OLD'
+        }).promise();
+
+        if (result.Attributes && result.Attributes.isDefault) {
+            const [next] = sortAddresses(await listAddresses(userPhone));
+            if (next) {
+                await setDefaultAddress(userPhone, next.id, []);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        console.error('Delete address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete address',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    ADDRESSES_TABLE,
+    listAddresses,
+    resolveOrderAddress,
+    getMyAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -0,0 +1,340 @@
+const AWS = require('aws-sdk');
+const bcrypt = require('bcryptjs');
+const { issueTokens, revokeAllSessions, describeDevice } = require('./tokenService');
+const { verifyTotp } = require('./totpService');
+const { recordAuditEvent } = require('./auditLog');
+const {
+    reserveLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    releaseLoginAttempt,
+    sendBlockedResponse
+} = require('./loginGuard');
+const {
+    ADMINS_TABLE,
+    normalizeEmail,
+    getAdminByEmail,
+    sanitizeAdmin,
+    createAdminAccount,
+    consumeTotpStep,
+    consumeBackupCode,
+    regenerateBackupCodes
+} = require('./adminService');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+/**
+ * Check the second factor: a TOTP code or a single-use backup code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (admin, { code, backupCode }) => {
+    if (code) {
+        const step = verifyTotp(admin.totpSecret, code);
+        return step !== null && consumeTotpStep(admin.email, step);
+    }
+
+    if (backupCode) {
+        return consumeBackupCode(admin, backupCode);
+    }
+
+    return false;
+};
+
+/**
+ * Admin login: email + password + TOTP code (or backup code)
+ * @route POST /api/admin/auth/login
+ */
+const loginAdmin = async (req, res) => {
+    try {
+        const { email, password, code, backupCode } = req.body || {};
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        const normalizedEmail = normalizeEmail(email);
+
+        // Brute-force protection, keyed by email for admin logins; the attempt counts as failed until it succeeds
+        const { blocked, reservation: attempt } = await reserveLoginAttempt({ scope: 'admin', phone: normalizedEmail, ip: req.ip });
+        if (blocked) {
+            return sendBlockedResponse(res, blocked);
+        }
+
+        const admin = await getAdminByEmail(normalizedEmail);
+
+        if (!admin || !(await bcrypt.compare(password, admin.password))) {
+            await recordLoginFailure(attempt);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        if (!admin.isActive) {
+            await releaseLoginAttempt(attempt);
+            return res.status(403).json({
+                success: false,
+                message: 'Your admin account has been deactivated'
+            });
+        }
+
+        if (!code && !backupCode) {
+            await releaseLoginAttempt(attempt);
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor code is required',
+                totpRequired: true
+            });
+        }
+
+        if (!(await verifySecondFactor(admin, { code, backupCode }))) {
+            await recordLoginFailure(attempt);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor code',
+                totpRequired: true
+            });
+        }
+
+        await recordLoginSuccess(attempt);
+
+        await dynamoDB.update({
+            TableName: ADMINS_TABLE,
+            Key: { email: admin.email },
+            UpdateExpression: 'SET lastLogin = :now',
+            ExpressionAttributeValues: { ':now': new Date().toISOString() }
+        }).promise();
+
+        await recordAuditEvent({
+            type: 'admin_login',
+            actor: admin.email,
+            ip: req.ip,
+            details: { method: code ? 'totp' : 'backup_code' }
+        });
+
+        const tokens = await issueTokens({
+            email: admin.email,
+            name: admin.name,
+            role: admin.role
+        }, describeDevice(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                admin: sanitizeAdmin(admin),
+                ...tokens
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed. Please try again.',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Create an admin account (super-admin only)
+ * Returns the TOTP secret/URI and backup codes once.
+ * @route POST /api/admin/users
+ */
+const createAdmin = async (req, res) => {
+    try {
+        const result = await createAdminAccount(req.body || {}, req.user.email);
+
+        await recordAuditEvent({
+            type: 'admin_created',
+            actor: req.user.email,
+            target: result.admin.email,
+            ip: req.ip,
+            details: { role: result.admin.role }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin created successfully. Share the TOTP secret and backup codes securely; they are shown only once.',
+            data: result
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create admin',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * List admin accounts (super-admin only)
+ * @route GET /api/admin/users
+ */
+const getAllAdmins = async (req, res) => {
+    try {
+        const result = await dynamoDB.scan({ TableName: ADMINS_TABLE }).promise();
+
+        const admins = (result.Items || [])
+            .map(sanitizeAdmin)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                admins,
+                count: admins.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch admins',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Activate/deactivate an admin (super-admin only)
+ * @route PATCH /api/admin/users/:email/status
+ */
+const updateAdminStatus = async (req, res) => {
+    try {
+        const email = normalizeEmail(req.params.email);
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be a boolean'
+            });
+        }
+
+        if (email === req.user.email && !isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account'
+            });
+        }
+
+        const result = await dynamoDB.update({
+            TableName: ADMINS_TABLE,
+            Key: { email },
+            UpdateExpression: 'SET isActive = :isActive, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(email)',
+            ExpressionAttributeValues: {
+                ':isActive': isActive,
+                ':now': new Date().toISOString()
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        if (!isActive) {
+            await revokeAllSessions(`admin#${email}`, 'account_deactivated');
+        }
+
+        await recordAuditEvent({
+            type: isActive ? 'admin_activated' : 'admin_deactivated',
+            actor: req.user.email,
+            target: email,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${isActive ? 'activated' : 'deactivated'} successfully`,
+            data: sanitizeAdmin(result.Attributes)
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        console.error('Update admin status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update admin status',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Replace the logged-in admin's backup codes (requires a current TOTP code)
+ * @route POST /api/admin/auth/backup-codes
+ */
+const regenerateMyBackupCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const admin = await getAdminByEmail(req.user.email);
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (!(await verifySecondFactor(admin, { code }))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor code'
+            });
+        }
+
+        const backupCodes = await regenerateBackupCodes(admin.email);
+
+        await recordAuditEvent({
+            type: 'admin_backup_codes_regenerated',
+            actor: admin.email,
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Backup codes regenerated. Previous codes no longer work.',
+            data: { backupCodes }
+        });
+
+    } catch (error) {
+        console.error('Regenerate backup codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate backup codes',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    loginAdmin,
+    createAdmin,
+    getAllAdmins,
+    updateAdminStatus,
+    regenerateMyBackupCodes
+};
@@ -0,0 +1,223 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { hashPassword, validatePassword } = require('./passwordService');
+const { generateTotpSecret, buildOtpAuthUri } = require('./totpService');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ADMINS_TABLE = process.env.DYNAMODB_ADMINS_TABLE || 'satvamirtham-admins';
+
+const ADMIN_ROLES = ['super-admin', 'kitchen-manager', 'dispatcher'];
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_BYTES = 10;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const adminError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Codes are compared without dashes, spaces or case
+const normalizeBackupCode = (code) => String(code).replace(/[-\s]/g, '').toLowerCase();
+
+/**
+ * Generate single-use backup codes like "3f9ac-21b4e-07d1a-9c2f3", stored as bcrypt hashes (like passwords)
+ * @returns {Promise<{codes: string[], hashes: string[]}>}
+ */
+const generateBackupCodes = async () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        return crypto.randomBytes(BACKUP_CODE_BYTES).toString('hex').match(/.{5}/g).join('-');
+    });
+    const hashes = await Promise.all(codes.map(code => hashPassword(normalizeBackupCode(code))));
+    return { codes, hashes };
+};
+
+const getAdminByEmail = async (email) => {
+    const result = await dynamoDB.get({
+        TableName: ADMINS_TABLE,
+        Key: { email: normalizeEmail(email) }
+    }).promise();
+    return result.Item || null;
+};
+
+/**
+ * Strip secrets before returning an admin record
+ */
+const sanitizeAdmin = (admin) => {
+    const { password, totpSecret, backupCodeHashes, lastTotpStep, ...safe } = admin;
+    return {
+        ...safe,
+        backupCodesRemaining: backupCodeHashes ? backupCodeHashes.values.length : 0
+    };
+};
+
+/**
+ * Create an admin account with a fresh TOTP secret and backup codes
+ * The secret and codes are only returned here - they can't be read back later.
+ * @param {Object} input - { email, name, password, role }
+ * @param {string} createdBy - email of the creating super-admin, or 'bootstrap-cli'
+ */
+const createAdminAccount = async ({ email, name, password, role }, createdBy) => {
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!normalizedEmail || !/\S+@\S+\.\S+/.test(normalizedEmail) || !name) {
+        throw adminError('Valid email and name are required');
+    }
+
+    if (!ADMIN_ROLES.includes(role)) {
+        throw adminError('Invalid role. Valid roles: ' + ADMIN_ROLES.join(', '));
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        throw adminError(passwordError);
+    }
+
+    const totpSecret = generateTotpSecret();
+    const backupCodes = await generateBackupCodes();
+    const now = new Date().toISOString();
+
+    const admin = {
+        email: normalizedEmail,
+        name,
+        role,
+        password: await hashPassword(password),
+        totpSecret,
+        backupCodeHashes: dynamoDB.createSet(backupCodes.hashes),
+        isActive: true,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        lastLogin: null
+    };
+
+    try {
+        await dynamoDB.put({
+            TableName: ADMINS_TABLE,
+            Item: admin,
+            ConditionExpression: 'attribute_not_exists(email)'
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            throw adminError('An admin with this email already exists', 409);
+        }
+        throw error;
+    }
+
+    return {
+        admin: sanitizeAdmin(admin),
+        totp: {
+            secret: totpSecret,
+            otpauthUri: buildOtpAuthUri(totpSecret, normalizedEmail)
+        },
+        backupCodes: backupCodes.codes
+    };
+};
+
+/**
+ * Record a successful TOTP step; fails if the step (or a later one) was already used
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpStep = async (email, step) => {
+    try {
+        await dynamoDB.update({
+            TableName: ADMINS_TABLE,
+            Key: { email },
+            UpdateExpression: 'SET lastTotpStep = :step',
+            ConditionExpression: 'attribute_not_exists(lastTotpStep) OR lastTotpStep < :step',
+            ExpressionAttributeValues: { ':step': step }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Remove a backup code from the account; false if it isn't (or is no longer) valid
+ * Hashes are salted, so the code is checked against each remaining hash of the admin record.
+ * @param {Object} admin - ADMINS_TABLE record
+ * @returns {Promise<boolean>}
+ */
+const consumeBackupCode = async (admin, code) => {
+    const normalized = normalizeBackupCode(code);
+    const hashes = admin.backupCodeHashes ? admin.backupCodeHashes.values : [];
+
+    let hash = null;
+    for (const candidate of hashes) {
+        if (await bcrypt.compare(normalized, candidate)) {
+            hash = candidate;
+            break;
+        }
+    }
+    if (!hash) {
+        return false;
+    }
+
+    try {
+        await dynamoDB.update({
+            TableName: ADMINS_TABLE,
+            Key: { email: admin.email },
+            UpdateExpression: 'DELETE backupCodeHashes :codeSet',
+            ConditionExpression: 'contains(backupCodeHashes, :code)',
+            ExpressionAttributeValues: {
+                ':codeSet': dynamoDB.createSet([hash]),
+                ':code': hash
+            }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Replace all backup codes (old ones stop working)
+ * @returns {Promise<string[]>} the new codes
+ */
+const regenerateBackupCodes = async (email) => {
+    const backupCodes = await generateBackupCodes();
+
+    await dynamoDB.update({
+        TableName: ADMINS_TABLE,
+        Key: { email },
+        UpdateExpression: 'SET backupCodeHashes = :hashes, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(email)',
+        ExpressionAttributeValues: {
+            ':hashes': dynamoDB.createSet(backupCodes.hashes),
+            ':now': new Date().toISOString()
+        }
+    }).promise();
+
+    return backupCodes.codes;
+};
+
+module.exports = {
+    ADMINS_TABLE,
+    ADMIN_ROLES,
+    normalizeEmail,
+    getAdminByEmail,
+    sanitizeAdmin,
+    createAdminAccount,
+    consumeTotpStep,
+    consumeBackupCode,
+    regenerateBackupCodes
+};
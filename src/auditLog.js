@@ -0,0 +1,48 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const AUDIT_TABLE = process.env.DYNAMODB_AUDIT_TABLE || 'satvamirtham-audit';
+
+/**
+ * Append an event to the audit trail
+ * Never throws: a failed audit write is logged but must not break the request.
+ * @param {Object} event
+ * @param {string} event.type - e.g. 'account_locked', 'account_unlocked'
+ * @param {string} [event.actor] - who caused it (phone, admin id or 'system')
+ * @param {string} [event.target] - affected account/resource
+ * @param {string} [event.ip]
+ * @param {Object} [event.details]
+ */
+const recordAuditEvent = async ({ type, actor = 'system', target = null, ip = null, details = {} }) => {
+    const entry = {
+        id: crypto.randomUUID(),
+        type,
+        actor,
+        target,
+        ip,
+        details,
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        await dynamoDB.put({
+            TableName: AUDIT_TABLE,
+            Item: entry
+        }).promise();
+    } catch (error) {
+        console.error('Audit log write failed:', error.message, JSON.stringify(entry));
+    }
+
+    return entry;
+};
+
+module.exports = {
+    recordAuditEvent
+};
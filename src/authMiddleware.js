@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const { getActiveSession, touchSession } = require('./tokenService');
+const { ADMIN_ROLES } = require('./adminService');
+
+// Roles carried in the `role` claim of the tokens issued by login/register/riderAuth/adminAuth
+const ROLES = {
+    SUPER_ADMIN: 'super-admin',
+    KITCHEN_MANAGER: 'kitchen-manager',
+    DISPATCHER: 'dispatcher',
+    RIDER: 'rider',
+    CUSTOMER: 'user'
+};
+
+// Admin-panel accounts (ADMINS_TABLE) carry one of ADMIN_ROLES (see adminService.js)
+const isAdmin = (user) => !!user && ADMIN_ROLES.includes(user.role);
+
+/**
+ * Extract bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    return token;
+};
+
+/**
+ * Verify JWT and attach its claims to req.user
+ * Responds 401 when the token is missing, malformed, expired or its session was revoked
+ */
+const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.name === 'TokenExpiredError'
+                ? 'Token has expired. Please refresh your session.'
+                : 'Invalid token'
+        });
+    }
+
+    try {
+        // Tokens without a session (pre-refresh-token logins) are no longer accepted
+        const session = await getActiveSession(claims.sid);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or was revoked. Please log in again.'
+            });
+        }
+
+        // Keep "last seen" current for the sessions list
+        touchSession(session, req.ip);
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to verify session'
+        });
+    }
+
+    req.user = claims;
+    next();
+};
+
+/**
+ * Allow the request only if req.user.role is one of the given roles
+ * Must run after authenticate. Responds 403 otherwise.
+ */
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Route policy helper: authenticate, then authorize the given roles
+ * server.js builds its policies from it, e.g.
+ *   const catalogAdmin = requireRole(ROLES.SUPER_ADMIN, ROLES.KITCHEN_MANAGER);
+ *   app.post('/api/packages', catalogAdmin, handler)
+ */
+const requireRole = (...roles) => [authenticate, authorize(...roles)];
+
+/**
+ * Riders may only act on their own rider record (admins may act on any)
+ * Expects the rider id in req.params[paramName]
+ */
+const requireSelfRider = (paramName = 'id') => (req, res, next) => {
+    if (req.user.role === ROLES.RIDER && req.user.riderId !== req.params[paramName]) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only access your own rider account'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    ROLES,
+    ADMIN_ROLES,
+    isAdmin,
+    authenticate,
+    authorize,
+    requireRole,
+    requireSelfRider
+};
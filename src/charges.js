@@ -0,0 +1,190 @@
+/**
+ * GST, packaging and delivery charges for an order
+ *
+ * Configured with ORDER_CHARGES_CONFIG (JSON, merged over the defaults below), e.g.
+ *   {"gstRates":{"categories":{"Mojito":18}},"deliverySlabs":[{"below":300,"fee":40},{"below":null,"fee":0}]}
+ * The kitchen delivers within its own state, so GST is split equally into CGST and SGST.
+ */
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const DEFAULT_CHARGES_CONFIG = {
+    gstRates: {
+        // Restaurant service (SAC 996331) is 5% unless a category says otherwise
+        package: parseFloat(process.env.ORDER_TAX_RATE_PERCENT || '5'),
+        single: parseFloat(process.env.ORDER_TAX_RATE_PERCENT || '5'),
+        categories: {}
+    },
+    // Per line quantity; billed as part of the food supply, so taxed at the packaging rate
+    packaging: {
+        perPackage: 0,
+        perSingle: 0,
+        gstRate: 5
+    },
+    // First slab whose `below` exceeds the (discounted) food value applies; null means no upper bound
+    deliverySlabs: [
+        { below: null, fee: parseFloat(process.env.ORDER_DELIVERY_FEE || '0') }
+    ],
+    deliveryGstRate: 18,
+    sacCodes: {
+        food: '996331',
+        delivery: '996813'
+    }
+};
+
+const parseChargesConfig = () => {
+    try {
+        const overrides = JSON.parse(process.env.ORDER_CHARGES_CONFIG || '{}');
+        return {
+            ...DEFAULT_CHARGES_CONFIG,
+            ...overrides,
+            gstRates: {
+                ...DEFAULT_CHARGES_CONFIG.gstRates,
+                ...overrides.gstRates,
+                categories: { ...DEFAULT_CHARGES_CONFIG.gstRates.categories, ...(overrides.gstRates || {}).categories }
+            },
+            packaging: { ...DEFAULT_CHARGES_CONFIG.packaging, ...overrides.packaging },
+            sacCodes: { ...DEFAULT_CHARGES_CONFIG.sacCodes, ...overrides.sacCodes }
+        };
+    } catch (error) {
+        console.error('Invalid ORDER_CHARGES_CONFIG, using defaults:', error.message);
+        return DEFAULT_CHARGES_CONFIG;
+    }
+};
+
+const CHARGES_CONFIG = parseChargesConfig();
+
+/**
+ * GST rate (percent) for a priced order line
+ */
+const getGstRate = (item) => {
+    if (item.type === 'package') {
+        return CHARGES_CONFIG.gstRates.package;
+    }
+    const categoryRate = CHARGES_CONFIG.gstRates.categories[item.category];
+    return categoryRate !== undefined ? categoryRate : CHARGES_CONFIG.gstRates.single;
+};
+
+const getDeliveryFee = (foodValue) => {
+    const slab = CHARGES_CONFIG.deliverySlabs.find(entry => entry.below === null || foodValue < entry.below);
+    return roundMoney(slab ? slab.fee : 0);
+};
+
+/**
+ * Split a GST amount into CGST and SGST (SGST takes the odd paisa)
+ */
+const splitGst = (gst) => {
+    const cgst = roundMoney(Math.floor(gst * 100 / 2) / 100);
+    return { cgst, sgst: roundMoney(gst - cgst) };
+};
+
+/**
+ * Spread a discount over the lines it applies to, in proportion to their value
+ * The last line takes the rounding remainder so the parts add up exactly.
+ * @returns {Map<string, number>} discount per line id
+ */
+const allocateDiscount = (items, discount, itemIds) => {
+    const allocation = new Map();
+    const eligible = items.filter(item => !itemIds || itemIds.includes(item.id));
+    const eligibleValue = eligible.reduce((sum, item) => sum + item.lineTotal, 0);
+
+    let remaining = roundMoney(discount);
+    eligible.forEach((item, index) => {
+        const share = index === eligible.length - 1
+            ? remaining
+            : roundMoney(discount * item.lineTotal / eligibleValue);
+        allocation.set(item.id, share);
+        remaining = roundMoney(remaining - share);
+    });
+
+    return allocation;
+};
+
+/**
+ * Full charge breakdown for priced order lines
+ * @param {Array<Object>} items - priced lines ({ id, type, category?, quantity, lineTotal })
+ * @param {Object} [discount] - { amount, itemIds? } from a coupon; itemIds limits which lines it reduces
+ * @returns {Object} pricing block stored on the order
+ */
+const computeCharges = (items, discount = null) => {
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const discountAmount = discount ? roundMoney(Math.min(discount.amount, subtotal)) : 0;
+    const allocation = discountAmount > 0
+        ? allocateDiscount(items, discountAmount, discount.itemIds)
+        : new Map();
+
+    const lines = items.map((item) => {
+        const gstRate = getGstRate(item);
+        const taxableValue = roundMoney(item.lineTotal - (allocation.get(item.id) || 0));
+        const gst = roundMoney(taxableValue * gstRate / 100);
+        return {
+            id: item.id,
+            sac: CHARGES_CONFIG.sacCodes.food,
+            gstRate,
+            taxableValue,
+            ...splitGst(gst),
+            gst
+        };
+    });
+
+    const foodValue = roundMoney(subtotal - discountAmount);
+
+    const packagingCharge = roundMoney(items.reduce((sum, item) => {
+        const perUnit = item.type === 'package'
+            ? CHARGES_CONFIG.packaging.perPackage
+            : CHARGES_CONFIG.packaging.perSingle;
+        return sum + perUnit * item.quantity;
+    }, 0));
+    const packagingGst = roundMoney(packagingCharge * CHARGES_CONFIG.packaging.gstRate / 100);
+
+    const deliveryFee = getDeliveryFee(foodValue);
+    const deliveryGst = roundMoney(deliveryFee * CHARGES_CONFIG.deliveryGstRate / 100);
+
+    // GST totals by rate, as invoices summarise them
+    const byRate = new Map();
+    const addToRate = (rate, taxableValue, gst) => {
+        if (taxableValue <= 0) {
+            return;
+        }
+        const entry = byRate.get(rate) || { rate, taxableValue: 0, gst: 0 };
+        entry.taxableValue = roundMoney(entry.taxableValue + taxableValue);
+        entry.gst = roundMoney(entry.gst + gst);
+        byRate.set(rate, entry);
+    };
+    lines.forEach(line => addToRate(line.gstRate, line.taxableValue, line.gst));
+    addToRate(CHARGES_CONFIG.packaging.gstRate, packagingCharge, packagingGst);
+    addToRate(CHARGES_CONFIG.deliveryGstRate, deliveryFee, deliveryGst);
+
+    const rates = [...byRate.values()]
+        .sort((a, b) => a.rate - b.rate)
+        .map(entry => ({ ...entry, ...splitGst(entry.gst) }));
+    const sumOf = (key) => roundMoney(rates.reduce((sum, entry) => sum + entry[key], 0));
+    const gstTotal = sumOf('gst');
+
+    return {
+        currency: 'INR',
+        subtotal,
+        discount: discountAmount,
+        packagingCharge,
+        packagingGstRate: CHARGES_CONFIG.packaging.gstRate,
+        packagingGst,
+        deliveryFee,
+        deliveryGstRate: CHARGES_CONFIG.deliveryGstRate,
+        deliveryGst,
+        tax: gstTotal,
+        gst: {
+            cgst: sumOf('cgst'),
+            sgst: sumOf('sgst'),
+            total: gstTotal,
+            byRate: rates
+        },
+        lines,
+        total: roundMoney(foodValue + packagingCharge + deliveryFee + gstTotal)
+    };
+};
+
+module.exports = {
+    CHARGES_CONFIG,
+    splitGst,
+    computeCharges
+};
@@ -0,0 +1,648 @@
+const AWS = require('aws-sdk');
+const { ROLES } = require('./authMiddleware');
+const { priceOrder, applyDiscount } = require('./pricing');
+const { MEAL_SLOTS } = require('./orderSchedule');
+const { VALID_CATEGORIES } = require('./singles');
+const { getCancellationReasons } = require('./ids');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+// Keyed by code
+const COUPONS_TABLE = process.env.DYNAMODB_COUPONS_TABLE || 'satvamirtham-coupons';
+
+// One row per coupon and customer ("CODE#phone"), counting their redemptions
+const COUPON_REDEMPTIONS_TABLE = process.env.DYNAMODB_COUPON_REDEMPTIONS_TABLE || 'satvamirtham-coupon-redemptions';
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Fields an admin may set; code and redemptionCount are managed here
+const EDITABLE_FIELDS = [
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'minOrderValue',
+    'validFrom',
+    'validUntil',
+    'usageLimit',
+    'perUserLimit',
+    'packageIds',
+    'singleCategories',
+    'mealTypes',
+    'isActive'
+];
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const couponError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Check a complete coupon definition
+ * @returns {string|null} error message
+ */
+const getCouponError = (coupon) => {
+    if (!DISCOUNT_TYPES.includes(coupon.discountType)) {
+        return 'Invalid discount type. Valid: ' + DISCOUNT_TYPES.join(', ');
+    }
+    if (typeof coupon.discountValue !== 'number' || !(coupon.discountValue > 0)) {
+        return 'Discount value must be a positive number';
+    }
+    if (coupon.discountType === 'percentage' && coupon.discountValue > 100) {
+        return 'A percentage discount can be at most 100';
+    }
+    if (coupon.maxDiscount !== null && (typeof coupon.maxDiscount !== 'number' || !(coupon.maxDiscount > 0))) {
+        return 'Max discount must be a positive number or null';
+    }
+    if (typeof coupon.minOrderValue !== 'number' || coupon.minOrderValue < 0) {
+        return 'Minimum order value must be zero or more';
+    }
+    if (coupon.validFrom !== null && !isTimestamp(coupon.validFrom)) {
+        return 'validFrom must be an ISO date-time or null';
+    }
+    if (coupon.validUntil !== null && !isTimestamp(coupon.validUntil)) {
+        return 'validUntil must be an ISO date-time or null';
+    }
+    if (coupon.validFrom && coupon.validUntil && new Date(coupon.validUntil) <= new Date(coupon.validFrom)) {
+        return 'validUntil must be after validFrom';
+    }
+    if (coupon.usageLimit !== null && !isPositiveInteger(coupon.usageLimit)) {
+        return 'Usage limit must be a positive whole number or null (unlimited)';
+    }
+    if (coupon.perUserLimit !== null && !isPositiveInteger(coupon.perUserLimit)) {
+        return 'Per-user limit must be a positive whole number or null (unlimited)';
+    }
+    if (!Array.isArray(coupon.packageIds) || coupon.packageIds.some(id => typeof id !== 'string')) {
+        return 'packageIds must be a list of package ids';
+    }
+    if (!Array.isArray(coupon.singleCategories) || coupon.singleCategories.some(category => !VALID_CATEGORIES.includes(category))) {
+        return 'singleCategories must be a list of single categories';
+    }
+    if (!Array.isArray(coupon.mealTypes) || coupon.mealTypes.some(type => !MEAL_SLOTS.includes(type))) {
+        return 'mealTypes must be a list of: ' + MEAL_SLOTS.join(', ');
+    }
+    if (typeof coupon.isActive !== 'boolean') {
+        return 'isActive must be true or false';
+    }
+    if (typeof coupon.description !== 'string' || coupon.description.length > MAX_DESCRIPTION_LENGTH) {
+        return `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    return null;
+};
+
+const getCoupon = async (code) => {
+    const result = await dynamoDB.get({
+        TableName: COUPONS_TABLE,
+        Key: { code }
+    }).promise();
+    return result.Item || null;
+};
+
+/**
+ * Coupon uses recorded for a customer (redemption ids are CODE#phone)
+ */
+const listCustomerRedemptions = async (phone) => {
+    const redemptions = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: COUPON_REDEMPTIONS_TABLE,
+            FilterExpression: 'userPhone = :phone',
+            ExpressionAttributeValues: { ':phone': phone },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        redemptions.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return redemptions;
+};
+
+const getRedemptionCount = async (code, phone) => {
+    const result = await dynamoDB.get({
+        TableName: COUPON_REDEMPTIONS_TABLE,
+        Key: { id: `${code}#${phone}` }
+    }).promise();
+    return result.Item ? result.Item.count || 0 : 0;
+};
+
+/**
+ * Order lines the coupon applies to
+ * Without restrictions every line counts; otherwise packages match by id or meal type
+ * and singles by category.
+ */
+const getEligibleItems = (coupon, items) => {
+    const restricted = coupon.packageIds.length > 0
+        || coupon.singleCategories.length > 0
+        || coupon.mealTypes.length > 0;
+
+    if (!restricted) {
+        return items;
+    }
+
+    return items.filter((item) => {
+        if (item.type === 'package') {
+            return coupon.packageIds.includes(item.id) || coupon.mealTypes.includes(item.mealType);
+        }
+        return coupon.singleCategories.includes(item.category);
+    });
+};
+
+/**
+ * Check that a customer can use a coupon on a priced order, and work out the discount
+ * @param {string} code
+ * @param {string} phone - customer the order is for
+ * @param {Object} priced - result of priceOrder
+ * @returns {Promise<{coupon: Object, discount: {code: string, amount: number, itemIds: string[]}}>}
+ */
+const evaluateCoupon = async (code, phone, priced, now = new Date()) => {
+    const normalized = normalizeCode(code);
+    const coupon = CODE_PATTERN.test(normalized) ? await getCoupon(normalized) : null;
+
+    if (!coupon || !coupon.isActive) {
+        throw couponError('Invalid coupon code', 404);
+    }
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+        throw couponError('This coupon is not active yet');
+    }
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+        throw couponError('This coupon has expired');
+    }
+    if (coupon.usageLimit !== null && coupon.redemptionCount >= coupon.usageLimit) {
+        throw couponError('This coupon has been fully redeemed');
+    }
+    if (priced.pricing.subtotal < coupon.minOrderValue) {
+        throw couponError(`Add items worth ₹${roundMoney(coupon.minOrderValue - priced.pricing.subtotal).toFixed(2)} more to use this coupon`);
+    }
+
+    const eligibleItems = getEligibleItems(coupon, priced.items);
+    const eligibleSubtotal = roundMoney(eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0));
+    if (eligibleSubtotal <= 0) {
+        throw couponError('This coupon does not apply to the items in your cart');
+    }
+
+    if (coupon.perUserLimit !== null && await getRedemptionCount(coupon.code, phone) >= coupon.perUserLimit) {
+        throw couponError('You have already used this coupon');
+    }
+
+    let amount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.discountValue / 100
+        : coupon.discountValue;
+    if (coupon.maxDiscount !== null) {
+        amount = Math.min(amount, coupon.maxDiscount);
+    }
+
+    return {
+        coupon,
+        discount: {
+            code: coupon.code,
+            amount: roundMoney(Math.min(amount, eligibleSubtotal)),
+            itemIds: eligibleItems.map(item => item.id)
+        }
+    };
+};
+
+/**
+ * TransactItems that count a redemption, written together with the order
+ * The conditions re-check the global and per-user limits, so concurrent orders can't exceed them.
+ */
+const buildRedemptionItems = (coupon, phone, order) => {
+    const now = new Date().toISOString();
+
+    return [
+        {
+            Update: {
+                TableName: COUPONS_TABLE,
+                Key: { code: coupon.code },
+                UpdateExpression: 'ADD redemptionCount :one SET updatedAt = :now',
+                ConditionExpression: 'isActive = :true AND (usageLimit = :null OR redemptionCount < usageLimit)',
+                ExpressionAttributeValues: { ':one': 1, ':true': true, ':null': null, ':now': now }
+            }
+        },
+        {
+            Update: {
+                TableName: COUPON_REDEMPTIONS_TABLE,
+                Key: { id: `${coupon.code}#${phone}` },
+                UpdateExpression: 'ADD #count :one SET code = :code, userPhone = :phone, orderIds = list_append(if_not_exists(orderIds, :empty), :orderId), updatedAt = :now',
+                ...(coupon.perUserLimit !== null && {
+                    ConditionExpression: 'attribute_not_exists(#count) OR #count < :limit'
+                }),
+                ExpressionAttributeNames: { '#count': 'count' },
+                ExpressionAttributeValues: {
+                    ':one': 1,
+                    ':code': coupon.code,
+                    ':phone': phone,
+                    ':empty': [],
+                    ':orderId': [order.id],
+                    ':now': now,
+                    ...(coupon.perUserLimit !== null && { ':limit': coupon.perUserLimit })
+                }
+            }
+        }
+    ];
+};
+
+/**
+ * Turn a cancelled order+redemption transaction into the coupon error the customer should see
+ * (items as in buildRedemptionItems, after the order put)
+ */
+const describeRedemptionFailure = (error) => {
+    if (error.code !== 'TransactionCanceledException') {
+        return error;
+    }
+
+    const reasons = getCancellationReasons(error);
+    if (reasons[1] === 'ConditionalCheckFailed') {
+        return couponError('This coupon has just been fully redeemed or withdrawn', 409);
+    }
+    if (reasons[2] === 'ConditionalCheckFailed') {
+        return couponError('You have already used this coupon', 409);
+    }
+    return error;
+};
+
+/**
+ * Give a cancelled order's coupon use back (best effort)
+ */
+const releaseCouponRedemption = async (order) => {
+    if (!order.coupon || !order.customer || !order.customer.phone) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    try {
+        await dynamoDB.transactWrite({
+            TransactItems: [
+                {
+                    Update: {
+                        TableName: COUPONS_TABLE,
+                        Key: { code: order.coupon.code },
+                        UpdateExpression: 'ADD redemptionCount :minusOne SET updatedAt = :now',
+                        ConditionExpression: 'redemptionCount > :zero',
+                        ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0, ':now': now }
+                    }
+                },
+                {
+                    Update: {
+                        TableName: COUPON_REDEMPTIONS_TABLE,
+                        Key: { id: `${order.coupon.code}#${order.customer.phone}` },
+                        UpdateExpression: 'ADD #count :minusOne SET updatedAt = :now',
+                        ConditionExpression: '#count > :zero',
+                        ExpressionAttributeNames: { '#count': 'count' },
+                        ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0, ':now': now }
+                    }
+                }
+            ]
+        }).promise();
+    } catch (error) {
+        console.error(`Coupon release failed for order ${order.id}:`, error.message);
+    }
+};
+
+/**
+ * Check a coupon against a cart and show the discounted total
+ * Body: { code, items, customerPhone? (admins ordering for a customer) }
+ * @route POST /api/coupons/validate
+ */
+const validateCoupon = async (req, res) => {
+    try {
+        const { code, items, customerPhone } = req.body || {};
+        const phone = req.user.role === ROLES.CUSTOMER ? req.user.phone : customerPhone;
+
+        if (!code || !phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code and customer phone are required'
+            });
+        }
+
+        const priced = await priceOrder(items);
+        const { coupon, discount } = await evaluateCoupon(code, phone, priced);
+
+        res.status(200).json({
+            success: true,
+            message: `Coupon applied. You save ₹${discount.amount.toFixed(2)}`,
+            data: {
+                coupon: { code: coupon.code, description: coupon.description },
+                ...applyDiscount(priced, discount)
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.data && { data: error.data })
+            });
+        }
+
+        console.error('Validate coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to validate coupon',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * List coupons, newest first
+ * @route GET /api/coupons
+ */
+const getCoupons = async (req, res) => {
+    try {
+        const coupons = [];
+        let lastKey;
+
+        do {
+            const result = await dynamoDB.scan({
+                TableName: COUPONS_TABLE,
+                ExclusiveStartKey: lastKey
+            }).promise();
+
+            coupons.push(...(result.Items || []));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+
+        coupons.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.status(200).json({
+            success: true,
+            count: coupons.length,
+            data: coupons
+        });
+
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch coupons',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Get one coupon
+ * @route GET /api/coupons/:code
+ */
+const getCouponByCode = async (req, res) => {
+    try {
+        const coupon = await getCoupon(normalizeCode(req.params.code));
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: coupon
+        });
+
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch coupon',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Create a coupon
+ * Body: { code, description?, discountType, discountValue, maxDiscount?, minOrderValue?,
+ *         validFrom?, validUntil?, usageLimit?, perUserLimit? (default 1),
+ *         packageIds?, singleCategories?, mealTypes?, isActive? }
+ * @route POST /api/coupons
+ */
+const createCoupon = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const code = normalizeCode(body.code);
+
+        if (!CODE_PATTERN.test(code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code must be 3-20 letters, digits, - or _'
+            });
+        }
+
+        const defaults = {
+            description: '',
+            maxDiscount: null,
+            minOrderValue: 0,
+            validFrom: null,
+            validUntil: null,
+            usageLimit: null,
+            perUserLimit: 1,
+            packageIds: [],
+            singleCategories: [],
+            mealTypes: [],
+            isActive: true
+        };
+        const fields = { ...defaults };
+        EDITABLE_FIELDS.forEach((field) => {
+            if (body[field] !== undefined) {
+                fields[field] = body[field];
+            }
+        });
+
+        const validationError = getCouponError(fields);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const now = new Date().toISOString();
+        const coupon = {
+            code,
+            ...fields,
+            redemptionCount: 0,
+            createdBy: req.user.email,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await dynamoDB.put({
+            TableName: COUPONS_TABLE,
+            Item: coupon,
+            ConditionExpression: 'attribute_not_exists(code)'
+        }).promise();
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        console.error('Create coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Update a coupon (any editable field; set isActive false to withdraw it)
+ * @route PATCH /api/coupons/:code
+ */
+const updateCoupon = async (req, res) => {
+    try {
+        const code = normalizeCode(req.params.code);
+        const existing = await getCoupon(code);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const body = req.body || {};
+        const updates = {};
+        EDITABLE_FIELDS.forEach((field) => {
+            if (body[field] !== undefined) {
+                updates[field] = body[field];
+            }
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid fields to update. Allowed: ' + EDITABLE_FIELDS.join(', ')
+            });
+        }
+
+        const validationError = getCouponError({ ...existing, ...updates });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        // SET only the changed fields so concurrent redemptions keep their counts
+        updates.updatedAt = new Date().toISOString();
+        const expressionNames = {};
+        const expressionValues = {};
+        const setParts = Object.keys(updates).map((key) => {
+            expressionNames[`#${key}`] = key;
+            expressionValues[`:${key}`] = updates[key];
+            return `#${key} = :${key}`;
+        });
+
+        const result = await dynamoDB.update({
+            TableName: COUPONS_TABLE,
+            Key: { code },
+            UpdateExpression: `SET ${setParts.join(', ')}`,
+            ConditionExpression: 'attribute_exists(code)',
+            ExpressionAttributeNames: expressionNames,
+            ExpressionAttributeValues: expressionValues,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: result.Attributes
+        });
+
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Delete a coupon that was never redeemed (redeemed coupons are kept for the
+ * order history; deactivate them instead)
+ * @route DELETE /api/coupons/:code
+ */
+const deleteCoupon = async (req, res) => {
+    try {
+        await dynamoDB.delete({
+            TableName: COUPONS_TABLE,
+            Key: { code: normalizeCode(req.params.code) },
+            ConditionExpression: 'attribute_exists(code) AND redemptionCount = :zero',
+            ExpressionAttributeValues: { ':zero': 0 }
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(409).json({
+                success: false,
+                message: 'Coupon not found or already redeemed. Set isActive to false to withdraw it.'
+            });
+        }
+
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete coupon',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    COUPON_REDEMPTIONS_TABLE,
+    listCustomerRedemptions,
+    evaluateCoupon,
+    buildRedemptionItems,
+    describeRedemptionFailure,
+    releaseCouponRedemption,
+    validateCoupon,
+    getCoupons,
+    getCouponByCode,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+};
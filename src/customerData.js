@@ -0,0 +1,344 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { ADDRESSES_TABLE, listAddresses } = require('./addresses');
+const { revokeAllSessions } = require('./tokenService');
+const { recordAuditEvent } = require('./auditLog');
+const { isFinalStatus } = require('./orderLifecycle');
+const { SUBSCRIPTIONS_TABLE, listCustomerSubscriptions } = require('./subscriptions');
+const { COUPON_REDEMPTIONS_TABLE, listCustomerRedemptions } = require('./coupons');
+const { PAYMENTS_TABLE, listCustomerPayments } = require('./payments');
+const { REFUNDS_TABLE, listCustomerRefunds } = require('./refunds');
+const { listOtpRecords, deleteOtpRecords } = require('./otpService');
+const { getLoginRecord, recordLoginSuccess } = require('./loginGuard');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+// Days between a deletion request and the purge; the customer can cancel until then
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const customerDataError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Audit target for deletion events; the audit trail outlives the account, so it never stores the phone
+ */
+const auditReference = (phone) => {
+    return `user#${crypto.createHash('sha256').update(phone).digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * All orders placed by a customer phone (customerPhone-createdAt-index)
+ */
+const findCustomerOrders = async (phone) => {
+    const orders = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.query({
+            TableName: ORDERS_TABLE,
+            IndexName: 'customerPhone-createdAt-index',
+            KeyConditionExpression: 'customerPhone = :phone',
+            ExpressionAttributeValues: { ':phone': phone },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        orders.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return orders;
+};
+
+/**
+ * Everything we hold about a customer, for the data-export endpoint
+ * @param {Object} user - USERS_TABLE record
+ */
+const exportCustomerData = async (user) => {
+    const { password, ...profile } = user;
+    const [addresses, orders, subscriptions, couponRedemptions, payments, refunds, verificationCodes, loginAttempts] = await Promise.all([
+        listAddresses(user.phone),
+        findCustomerOrders(user.phone),
+        listCustomerSubscriptions(user.phone),
+        listCustomerRedemptions(user.phone),
+        listCustomerPayments(user.phone),
+        listCustomerRefunds(user.phone),
+        listOtpRecords({ phone: user.phone, accountType: 'user' }),
+        getLoginRecord({ scope: 'user', phone: user.phone })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        addresses,
+        subscriptions,
+        orders: orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+        couponRedemptions,
+        payments,
+        refunds,
+        verificationCodes,
+        loginAttempts
+    };
+};
+
+/**
+ * Schedule a customer account for deletion after the grace period
+ * @returns {Promise<string>} ISO timestamp the purge becomes due
+ */
+const scheduleAccountDeletion = async (phone) => {
+    const activeOrders = (await findCustomerOrders(phone))
+        .filter(order => !isFinalStatus(order.status));
+
+    if (activeOrders.length > 0) {
+        throw customerDataError('You have orders in progress. Please wait until they are delivered or cancelled.', 409);
+    }
+
+    const liveSubscriptions = (await listCustomerSubscriptions(phone))
+        .filter(subscription => ['active', 'paused'].includes(subscription.status));
+
+    if (liveSubscriptions.length > 0) {
+        throw customerDataError('Please cancel your meal subscriptions before deleting your account.', 409);
+    }
+
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    await dynamoDB.update({
+        TableName: USERS_TABLE,
+        Key: { phone },
+        UpdateExpression: 'SET deletionRequestedAt = :now, deletionScheduledFor = :scheduledFor, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(phone)',
+        ExpressionAttributeValues: {
+            ':now': now.toISOString(),
+            ':scheduledFor': scheduledFor
+        }
+    }).promise();
+
+    await recordAuditEvent({
+        type: 'account_deletion_requested',
+        target: auditReference(phone),
+        details: { scheduledFor }
+    });
+
+    return scheduledFor;
+};
+
+/**
+ * Withdraw a pending deletion request
+ * Fails with 404 if nothing is scheduled or the purge has already started.
+ */
+const cancelAccountDeletion = async (phone) => {
+    try {
+        await dynamoDB.update({
+            TableName: USERS_TABLE,
+            Key: { phone },
+            UpdateExpression: 'REMOVE deletionRequestedAt, deletionScheduledFor SET updatedAt = :now',
+            ConditionExpression: 'attribute_exists(deletionScheduledFor) AND attribute_not_exists(purgeStartedAt)',
+            ExpressionAttributeValues: { ':now': new Date().toISOString() }
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            throw customerDataError('No pending deletion request to cancel', 404);
+        }
+        throw error;
+    }
+
+    await recordAuditEvent({
+        type: 'account_deletion_cancelled',
+        target: auditReference(phone)
+    });
+};
+
+/**
+ * Status history without the customer: their actor id (the phone) is cleared, and a reason
+ * they wrote (the cancellation note) is cut back to its reason code
+ */
+const anonymizeStatusHistory = (order, phone) => {
+    return (order.statusHistory || []).map((entry) => {
+        if (!entry.by || entry.by.id !== phone) {
+            return entry;
+        }
+        const reasonCode = entry.to === 'cancelled' && order.cancellation ? order.cancellation.reasonCode || null : null;
+        return { ...entry, by: { ...entry.by, id: null }, reason: reasonCode };
+    });
+};
+
+/**
+ * Replace the customer block on an order with an anonymous placeholder
+ * Amounts, items and timestamps stay so revenue and order stats are unaffected.
+ * customerPhone is removed rather than nulled (it keys the customer order index), and so is
+ * the name/address search text. Status history and a cancellation note lose what the customer wrote.
+ */
+const anonymizeOrder = async (order, phone, now) => {
+    await dynamoDB.update({
+        TableName: ORDERS_TABLE,
+        Key: { id: order.id },
+        UpdateExpression: 'SET customer = :customer, deliveryAddress = :null, notes = :empty, statusHistory = :history, '
+            + 'cancellation = :cancellation, customerAnonymizedAt = :now REMOVE customerPhone, searchText',
+        ExpressionAttributeValues: {
+            ':history': anonymizeStatusHistory(order, phone),
+            ':cancellation': order.cancellation ? { ...order.cancellation, note: null } : null,
+            ':customer': {
+                name: 'Deleted customer',
+                phone: null,
+                email: '',
+                address: ''
+            },
+            ':null': null,
+            ':empty': '',
+            ':now': now
+        }
+    }).promise();
+};
+
+/**
+ * Drop the phone from payment and refund records; amounts stay for the accounts
+ * (refunds the customer asked for also name them in requestedBy)
+ */
+const anonymizeCustomerRecord = async (tableName, record, phone, now) => {
+    const requestedByCustomer = record.requestedBy === phone;
+    await dynamoDB.update({
+        TableName: tableName,
+        Key: { id: record.id },
+        UpdateExpression: `SET customerAnonymizedAt = :now${requestedByCustomer ? ', requestedBy = :null' : ''} REMOVE customerPhone`,
+        ExpressionAttributeValues: { ':now': now, ...(requestedByCustomer && { ':null': null }) }
+    }).promise();
+};
+
+/**
+ * Permanently remove a customer whose grace period has passed
+ * Anonymizes their orders, payments and refunds; deletes addresses, subscriptions, coupon
+ * redemptions, verification codes, login counters and the user record; and ends all sessions.
+ * Orders can't be placed while deletion is pending (see placeOrder), so once the purge is
+ * claimed no new orders appear.
+ * @returns {Promise<{purged: boolean, reason?: string, ordersAnonymized?: number, addressesDeleted?: number}>}
+ */
+const purgeCustomerAccount = async (phone) => {
+    const now = new Date().toISOString();
+
+    // Checked before claiming, so a blocked purge can still be cancelled by the customer
+    const orders = await findCustomerOrders(phone);
+    if (orders.some(order => !isFinalStatus(order.status))) {
+        return { purged: false, reason: 'active_orders' };
+    }
+
+    const refunds = await listCustomerRefunds(phone);
+    if (refunds.some(refund => refund.status === 'pending')) {
+        return { purged: false, reason: 'pending_refunds' };
+    }
+
+    // Claim the purge; from here on the customer can no longer cancel
+    try {
+        await dynamoDB.update({
+            TableName: USERS_TABLE,
+            Key: { phone },
+            UpdateExpression: 'SET purgeStartedAt = if_not_exists(purgeStartedAt, :now)',
+            ConditionExpression: 'deletionScheduledFor <= :now',
+            ExpressionAttributeValues: { ':now': now }
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return { purged: false, reason: 'not_due' };
+        }
+        throw error;
+    }
+
+    for (const order of orders) {
+        await anonymizeOrder(order, phone, now);
+    }
+
+    const payments = await listCustomerPayments(phone);
+    for (const payment of payments) {
+        await anonymizeCustomerRecord(PAYMENTS_TABLE, payment, phone, now);
+    }
+
+    for (const refund of refunds) {
+        await anonymizeCustomerRecord(REFUNDS_TABLE, refund, phone, now);
+    }
+
+    const addresses = await listAddresses(phone);
+    for (const address of addresses) {
+        await dynamoDB.delete({
+            TableName: ADDRESSES_TABLE,
+            Key: { userPhone: phone, id: address.id }
+        }).promise();
+    }
+
+    const subscriptions = await listCustomerSubscriptions(phone);
+    for (const subscription of subscriptions) {
+        await dynamoDB.delete({
+            TableName: SUBSCRIPTIONS_TABLE,
+            Key: { id: subscription.id }
+        }).promise();
+    }
+
+    const redemptions = await listCustomerRedemptions(phone);
+    for (const redemption of redemptions) {
+        await dynamoDB.delete({
+            TableName: COUPON_REDEMPTIONS_TABLE,
+            Key: { id: redemption.id }
+        }).promise();
+    }
+
+    await deleteOtpRecords({ phone, accountType: 'user' });
+    await recordLoginSuccess({ scope: 'user', phone }); // clears the failed-login counter
+
+    await revokeAllSessions(`user#${phone}`, 'account_deleted');
+
+    await dynamoDB.delete({
+        TableName: USERS_TABLE,
+        Key: { phone }
+    }).promise();
+
+    await recordAuditEvent({
+        type: 'account_purged',
+        target: auditReference(phone),
+        details: { ordersAnonymized: orders.length, addressesDeleted: addresses.length }
+    });
+
+    return { purged: true, ordersAnonymized: orders.length, addressesDeleted: addresses.length };
+};
+
+/**
+ * Customers whose deletion grace period has ended
+ */
+const findAccountsDueForPurge = async () => {
+    const due = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: USERS_TABLE,
+            FilterExpression: 'deletionScheduledFor <= :now',
+            ExpressionAttributeValues: { ':now': new Date().toISOString() },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        due.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return due;
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    exportCustomerData,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    purgeCustomerAccount,
+    findAccountsDueForPurge
+};
@@ -0,0 +1,168 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { getSessionSubject } = require('./tokenService');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const IDEMPOTENCY_TABLE = process.env.DYNAMODB_IDEMPOTENCY_TABLE || 'satvamirtham-idempotency';
+
+// How long a key is remembered (replays after this create a new resource)
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,128}$/;
+
+/**
+ * JSON with object keys sorted, so the same payload always hashes the same
+ */
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashPayload = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+const releaseKey = async (id) => {
+    try {
+        await dynamoDB.delete({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { id },
+            ConditionExpression: '#status = :inProgress',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':inProgress': 'in_progress' }
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            console.error('Idempotency key release failed:', error.message);
+        }
+    }
+};
+
+const saveResponse = async (id, statusCode, body) => {
+    try {
+        await dynamoDB.update({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { id },
+            UpdateExpression: 'SET #status = :completed, statusCode = :statusCode, responseBody = :body, completedAt = :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':completed': 'completed',
+                ':statusCode': statusCode,
+                ':body': body,
+                ':now': new Date().toISOString()
+            }
+        }).promise();
+    } catch (error) {
+        console.error('Idempotency response save failed:', error.message);
+    }
+};
+
+/**
+ * Honour an Idempotency-Key header on a create endpoint (must run after authenticate)
+ * - first request with a key runs normally; a 2xx response is stored for the key
+ * - a retry with the same key and payload gets the stored response (Idempotent-Replayed: true)
+ * - the same key with a different payload gets 422; a retry while the first is running gets 409
+ * Failed requests (non-2xx) release the key so the client can retry with it.
+ * Requests without the header are not deduplicated.
+ * @param {string} scope - namespace for keys, e.g. 'create-order'
+ */
+const idempotency = (scope) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key must be 8-128 characters (letters, digits, - _ : .)'
+        });
+    }
+
+    // Keys are per account, so two customers can't collide on the same key
+    const id = `${scope}#${getSessionSubject(req.user)}#${key}`;
+    const requestHash = hashPayload(req.body);
+    const now = new Date();
+
+    try {
+        await dynamoDB.put({
+            TableName: IDEMPOTENCY_TABLE,
+            Item: {
+                id,
+                requestHash,
+                status: 'in_progress',
+                createdAt: now.toISOString(),
+                ttl: Math.floor(now.getTime() / 1000) + IDEMPOTENCY_TTL_HOURS * 60 * 60
+            },
+            // TTL deletion is lazy, so an expired record counts as free
+            ConditionExpression: 'attribute_not_exists(id) OR #ttl < :nowSeconds',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: { ':nowSeconds': Math.floor(now.getTime() / 1000) }
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            console.error('Idempotency check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to process request',
+                ...(process.env.NODE_ENV === 'development' && { error: error.message })
+            });
+        }
+
+        const existing = await dynamoDB.get({
+            TableName: IDEMPOTENCY_TABLE,
+            Key: { id }
+        }).promise().catch(() => ({}));
+        const record = existing.Item;
+
+        if (!record) {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is being processed. Please retry.'
+            });
+        }
+
+        if (record.requestHash !== requestHash) {
+            return res.status(422).json({
+                success: false,
+                message: 'This Idempotency-Key was already used with a different request'
+            });
+        }
+
+        if (record.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is being processed. Please retry.'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Capture the handler's response to store (or release the key on failure)
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            saveResponse(id, res.statusCode, body);
+        } else {
+            releaseKey(id);
+        }
+        return originalJson(body);
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotency
+};
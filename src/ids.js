@@ -0,0 +1,120 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { getIstDateString } = require('./ist');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const COUNTERS_TABLE = process.env.DYNAMODB_COUNTERS_TABLE || 'satvamirtham-counters';
+
+// A fresh id is drawn if a conditional put still hits an existing item
+const MAX_ID_ATTEMPTS = 3;
+
+// Daily counters are only needed for the day they number; keep them a while for support
+const COUNTER_RETENTION_DAYS = 30;
+
+/**
+ * New entity id: prefix + creation time + random suffix, e.g. ORD1713849600000A3F09C2E
+ * Ids still sort by creation time; the suffix keeps same-millisecond ids apart.
+ * @param {string} prefix - ORD, RDR, PKG, SNG, MENU, ADR
+ */
+const generateId = (prefix) => {
+    return `${prefix}${Date.now()}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Per-item reasons of a cancelled transactWrite, e.g. ['None', 'ConditionalCheckFailed']
+ * The v2 SDK only reports them in the error message.
+ */
+const getCancellationReasons = (error) => {
+    const match = /\[([^\]]*)\]\s*$/.exec(error.message || '');
+    return match ? match[1].split(',').map(reason => reason.trim()) : [];
+};
+
+const isIdCollision = (error) => {
+    if (error.code === 'ConditionalCheckFailedException') {
+        return true;
+    }
+    return error.code === 'TransactionCanceledException' && getCancellationReasons(error)[0] === 'ConditionalCheckFailed';
+};
+
+/**
+ * Insert a new item under a freshly generated id, never overwriting an existing one
+ * @param {Object} params
+ * @param {string} params.TableName
+ * @param {string} params.prefix - id prefix
+ * @param {Function} params.build - (id) => item to store
+ * @param {Function} [params.transactItems] - (item) => further TransactItems written atomically with the put
+ *   (the put is always the first item, for getCancellationReasons)
+ * @returns {Promise<Object>} the stored item
+ */
+const putWithUniqueId = async ({ TableName, prefix, build, transactItems = null }) => {
+    for (let attempt = 1; ; attempt++) {
+        const item = build(generateId(prefix));
+        const put = {
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(id)'
+        };
+
+        try {
+            if (transactItems) {
+                await dynamoDB.transactWrite({
+                    TransactItems: [{ Put: put }, ...transactItems(item)]
+                }).promise();
+            } else {
+                await dynamoDB.put(put).promise();
+            }
+            return item;
+        } catch (error) {
+            if (!isIdCollision(error) || attempt >= MAX_ID_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Next daily order number for the IST business day, e.g. "0423-057"
+ * Numbers come from an atomic counter, so they never repeat within a day
+ * (a failed order can leave a gap).
+ */
+const nextOrderNumber = async (date = new Date()) => {
+    const day = getIstDateString(date);
+
+    const result = await dynamoDB.update({
+        TableName: COUNTERS_TABLE,
+        Key: { id: `orders#${day}` },
+        UpdateExpression: 'ADD #value :one SET #ttl = if_not_exists(#ttl, :ttl)',
+        ExpressionAttributeNames: { '#value': 'value', '#ttl': 'ttl' },
+        ExpressionAttributeValues: {
+            ':one': 1,
+            ':ttl': Math.floor(date.getTime() / 1000) + COUNTER_RETENTION_DAYS * 24 * 60 * 60
+        },
+        ReturnValues: 'UPDATED_NEW'
+    }).promise();
+
+    const sequence = String(result.Attributes.value).padStart(3, '0');
+    return `${day.slice(5, 7)}${day.slice(8, 10)}-${sequence}`;
+};
+
+/**
+ * How an order is referred to in the kitchen, rider app and notifications, e.g. "#0423-057"
+ * Orders from before daily numbers fall back to the end of their id.
+ */
+const displayOrderNumber = (order) => {
+    return `#${order.orderNumber || order.id.slice(-6)}`;
+};
+
+module.exports = {
+    COUNTERS_TABLE,
+    generateId,
+    getCancellationReasons,
+    putWithUniqueId,
+    nextOrderNumber,
+    displayOrderNumber
+};
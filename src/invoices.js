@@ -0,0 +1,603 @@
+const AWS = require('aws-sdk');
+const { ROLES, isAdmin } = require('./authMiddleware');
+const { CHARGES_CONFIG, splitGst } = require('./charges');
+const { COUNTERS_TABLE, getCancellationReasons, displayOrderNumber } = require('./ids');
+const { isPaidOrder } = require('./refunds');
+const { normalizeStatus } = require('./orderLifecycle');
+const { getIstDateString } = require('./ist');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+// Printed on every invoice
+const SELLER = {
+    name: process.env.INVOICE_SELLER_NAME || process.env.APP_NAME || 'Satvamirtham',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    gstin: process.env.INVOICE_GSTIN || '',
+    state: process.env.INVOICE_STATE || '',
+    stateCode: process.env.INVOICE_STATE_CODE || ''
+};
+
+// Invoice numbers look like INV/2024-25/000123 and restart every financial year
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+
+// Retries when two invoices are numbered at the same moment
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const invoiceError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Indian financial year (April-March) of a date, e.g. "2024-25"
+ */
+const getFinancialYear = (date = new Date()) => {
+    const [year, month] = getIstDateString(date).split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Why an order can't be invoiced yet (null if it can)
+ * Invoices are issued on delivery, or as soon as an online payment has arrived.
+ */
+const getInvoiceBlock = (order) => {
+    const status = normalizeStatus(order.status);
+    if (status === 'cancelled') {
+        return 'Cancelled orders are not invoiced';
+    }
+    if (!order.pricing || !order.pricing.gst) {
+        return 'This order has no GST breakdown to invoice';
+    }
+    if (status !== 'delivered' && !isPaidOrder(order)) {
+        return 'The invoice is available once the order is delivered';
+    }
+    return null;
+};
+
+/**
+ * Give an order the next invoice number of the current financial year (once)
+ * The counter and the order are written in one transaction, so numbers have no gaps or repeats.
+ * @returns {Promise<Object>} the order's invoice block
+ */
+const assignInvoiceNumber = async (order) => {
+    if (order.invoice) {
+        return order.invoice;
+    }
+
+    const financialYear = getFinancialYear();
+    const counterId = `invoices#${financialYear}`;
+
+    for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+        const counter = await dynamoDB.get({
+            TableName: COUNTERS_TABLE,
+            Key: { id: counterId }
+        }).promise();
+
+        const current = counter.Item ? counter.Item.value : 0;
+        const sequence = current + 1;
+        const invoice = {
+            number: `${INVOICE_PREFIX}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+            financialYear,
+            sequence,
+            issuedAt: new Date().toISOString()
+        };
+
+        try {
+            await dynamoDB.transactWrite({
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: COUNTERS_TABLE,
+                            Key: { id: counterId },
+                            UpdateExpression: 'SET #value = :sequence',
+                            ConditionExpression: counter.Item ? '#value = :current' : 'attribute_not_exists(id)',
+                            ExpressionAttributeNames: { '#value': 'value' },
+                            ExpressionAttributeValues: {
+                                ':sequence': sequence,
+                                ...(counter.Item && { ':current': current })
+                            }
+                        }
+                    },
+                    {
+                        Update: {
+                            TableName: ORDERS_TABLE,
+                            Key: { id: order.id },
+                            UpdateExpression: 'SET invoice = :invoice',
+                            ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(invoice) AND #status <> :cancelled',
+                            ExpressionAttributeNames: { '#status': 'status' },
+                            ExpressionAttributeValues: { ':invoice': invoice, ':cancelled': 'cancelled' }
+                        }
+                    }
+                ]
+            }).promise();
+
+            return invoice;
+        } catch (error) {
+            if (error.code !== 'TransactionCanceledException') {
+                throw error;
+            }
+
+            if (getCancellationReasons(error)[1] === 'ConditionalCheckFailed') {
+                // Invoiced by a parallel request (or cancelled meanwhile)
+                const latest = await dynamoDB.get({
+                    TableName: ORDERS_TABLE,
+                    Key: { id: order.id }
+                }).promise();
+                if (latest.Item && latest.Item.invoice) {
+                    return latest.Item.invoice;
+                }
+                throw invoiceError('Cancelled orders are not invoiced', 409);
+            }
+        }
+    }
+
+    throw invoiceError('Could not number the invoice. Please try again.', 503);
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const wordsBelowThousand = (number) => {
+    const parts = [];
+    if (number >= 100) {
+        parts.push(`${ONES[Math.floor(number / 100)]} Hundred`);
+        number %= 100;
+    }
+    if (number >= 20) {
+        parts.push(TENS[Math.floor(number / 10)] + (number % 10 ? ` ${ONES[number % 10]}` : ''));
+    } else if (number > 0) {
+        parts.push(ONES[number]);
+    }
+    return parts.join(' ');
+};
+
+/**
+ * Whole number in words with Indian grouping (crore, lakh, thousand)
+ */
+const numberToWords = (number) => {
+    if (number === 0) {
+        return 'Zero';
+    }
+
+    const parts = [];
+    [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']].forEach(([unit, name]) => {
+        if (number >= unit) {
+            parts.push(`${numberToWords(Math.floor(number / unit))} ${name}`);
+            number %= unit;
+        }
+    });
+    if (number > 0) {
+        parts.push(wordsBelowThousand(number));
+    }
+    return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+    const rupees = Math.floor(amount);
+    const paise = Math.round((amount - rupees) * 100);
+    return `Rupees ${numberToWords(rupees)}${paise ? ` and ${numberToWords(paise)} Paise` : ''} Only`;
+};
+
+/**
+ * Everything printed on an invoice, from the order's stored pricing
+ */
+const buildInvoice = (order) => {
+    const pricing = order.pricing;
+    const linesById = new Map((pricing.lines || []).map(line => [line.id, line]));
+
+    const lines = order.items.map((item) => {
+        const tax = linesById.get(item.id);
+        return {
+            description: item.name,
+            sac: tax.sac,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            amount: item.lineTotal,
+            discount: roundMoney(item.lineTotal - tax.taxableValue),
+            taxableValue: tax.taxableValue,
+            gstRate: tax.gstRate,
+            cgst: tax.cgst,
+            sgst: tax.sgst,
+            total: roundMoney(tax.taxableValue + tax.gst)
+        };
+    });
+
+    // Orders priced before charge rates were stored on them use the current rates
+    const chargeLine = (description, sac, amount, gstRate, gst = roundMoney(amount * gstRate / 100)) => ({
+        description,
+        sac,
+        amount,
+        taxableValue: amount,
+        gstRate,
+        ...splitGst(gst),
+        total: roundMoney(amount + gst)
+    });
+
+    const charges = [];
+    if (pricing.packagingCharge > 0) {
+        charges.push(chargeLine('Packaging charges', CHARGES_CONFIG.sacCodes.food, pricing.packagingCharge,
+            pricing.packagingGstRate !== undefined ? pricing.packagingGstRate : CHARGES_CONFIG.packaging.gstRate,
+            pricing.packagingGst));
+    }
+    if (pricing.deliveryFee > 0) {
+        charges.push(chargeLine('Delivery charges', CHARGES_CONFIG.sacCodes.delivery, pricing.deliveryFee,
+            pricing.deliveryGstRate !== undefined ? pricing.deliveryGstRate : CHARGES_CONFIG.deliveryGstRate,
+            pricing.deliveryGst));
+    }
+
+    return {
+        number: order.invoice.number,
+        issuedAt: order.invoice.issuedAt,
+        issueDate: getIstDateString(order.invoice.issuedAt),
+        orderId: order.id,
+        orderNumber: displayOrderNumber(order),
+        orderDate: getIstDateString(order.createdAt),
+        seller: SELLER,
+        buyer: {
+            name: order.customer ? order.customer.name : '',
+            phone: order.customer ? order.customer.phone : '',
+            address: order.customer ? order.customer.address : ''
+        },
+        placeOfSupply: SELLER.state && SELLER.stateCode ? `${SELLER.state} (${SELLER.stateCode})` : SELLER.state,
+        paymentMethod: order.paymentMethod,
+        lines,
+        charges,
+        couponCode: pricing.couponCode || null,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount || 0,
+        packagingCharge: pricing.packagingCharge || 0,
+        deliveryFee: pricing.deliveryFee || 0,
+        gst: pricing.gst,
+        total: pricing.total,
+        totalInWords: amountInWords(pricing.total)
+    };
+};
+
+const formatMoney = (amount) => Number(amount || 0).toFixed(2);
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Printable HTML tax invoice
+ */
+const renderInvoiceHtml = (invoice) => {
+    const row = cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+
+    const itemRows = invoice.lines.map(line => row([
+        escapeHtml(line.description),
+        escapeHtml(line.sac),
+        line.quantity,
+        formatMoney(line.unitPrice),
+        formatMoney(line.discount),
+        formatMoney(line.taxableValue),
+        `${line.gstRate}%`,
+        formatMoney(line.cgst),
+        formatMoney(line.sgst),
+        formatMoney(line.total)
+    ])).join('\n');
+
+    const chargeRows = invoice.charges.map(charge => row([
+        escapeHtml(charge.description),
+        escapeHtml(charge.sac),
+        '', '', '',
+        formatMoney(charge.taxableValue),
+        `${charge.gstRate}%`,
+        formatMoney(charge.cgst),
+        formatMoney(charge.sgst),
+        formatMoney(charge.total)
+    ])).join('\n');
+
+    const gstRows = invoice.gst.byRate.map(entry => row([
+        `${entry.rate}%`,
+        formatMoney(entry.taxableValue),
+        formatMoney(entry.cgst),
+        formatMoney(entry.sgst),
+        formatMoney(entry.gst)
+    ])).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tax Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+th, td { border: 1px solid #bbb; padding: 6px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+.meta td { border: none; padding: 2px 0; text-align: left; }
+.totals td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Tax Invoice</h1>
+<div><strong>${escapeHtml(invoice.seller.name)}</strong></div>
+<div>${escapeHtml(invoice.seller.address)}</div>
+<div>GSTIN: ${escapeHtml(invoice.seller.gstin)}</div>
+<table class="meta">
+<tr><td>Invoice No: <strong>${escapeHtml(invoice.number)}</strong></td><td>Invoice Date: ${escapeHtml(invoice.issueDate)}</td></tr>
+<tr><td>Order: ${escapeHtml(invoice.orderNumber)} (${escapeHtml(invoice.orderId)})</td><td>Order Date: ${escapeHtml(invoice.orderDate)}</td></tr>
+<tr><td>Bill To: ${escapeHtml(invoice.buyer.name)}, ${escapeHtml(invoice.buyer.phone)}</td><td>Place of Supply: ${escapeHtml(invoice.placeOfSupply)}</td></tr>
+<tr><td colspan="2">Address: ${escapeHtml(invoice.buyer.address)}</td></tr>
+</table>
+<table>
+<tr><th>Description</th><th>SAC</th><th>Qty</th><th>Rate</th><th>Discount</th><th>Taxable Value</th><th>GST</th><th>CGST</th><th>SGST</th><th>Total</th></tr>
+${itemRows}
+${chargeRows}
+</table>
+<table>
+<tr><th>GST Rate</th><th>Taxable Value</th><th>CGST</th><th>SGST</th><th>Total GST</th></tr>
+${gstRows}
+</table>
+<table>
+<tr><td>Subtotal</td><td>${formatMoney(invoice.subtotal)}</td></tr>
+<tr><td>Discount${invoice.couponCode ? ` (${escapeHtml(invoice.couponCode)})` : ''}</td><td>-${formatMoney(invoice.discount)}</td></tr>
+${invoice.packagingCharge > 0 ? `<tr><td>Packaging charges</td><td>${formatMoney(invoice.packagingCharge)}</td></tr>\n` : ''}${invoice.deliveryFee > 0 ? `<tr><td>Delivery charges</td><td>${formatMoney(invoice.deliveryFee)}</td></tr>\n` : ''}<tr><td>CGST</td><td>${formatMoney(invoice.gst.cgst)}</td></tr>
+<tr><td>SGST</td><td>${formatMoney(invoice.gst.sgst)}</td></tr>
+<tr class="totals"><td>Invoice Total (INR)</td><td>${formatMoney(invoice.total)}</td></tr>
+</table>
+<p>${escapeHtml(invoice.totalInWords)}</p>
+<p>Payment: ${escapeHtml(invoice.paymentMethod)}. This is a computer-generated invoice and needs no signature.</p>
+</body>
+</html>`;
+};
+
+/**
+ * Text in a PDF string literal: Latin-1 only, with delimiters escaped
+ */
+const pdfText = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+/**
+ * Minimal PDF (A4, Helvetica) from positioned text runs, one content stream per page
+ * @param {Array<Array<{x: number, y: number, text: string, size?: number, bold?: boolean, align?: string}>>} pages
+ * @returns {Buffer}
+ */
+const buildPdf = (pages) => {
+    // Helvetica averages ~0.5em per character; close enough to right-align numbers
+    const contents = pages.map(runs => runs.map(({ x, y, text, size = 9, bold = false, align = 'left' }) => {
+        const safe = pdfText(text);
+        const left = align === 'right' ? x - safe.length * size * 0.5 : x;
+        return `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(1)} ${y} Td (${safe}) Tj ET`;
+    }).join('\n'));
+
+    // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content object
+    const pageRefs = contents.map((_, index) => `${5 + index * 2} 0 R`);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${contents.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    contents.forEach((content, index) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+// Text starts this far from the top of an A4 page and breaks to a new page below the bottom margin
+const PDF_TOP = 800;
+const PDF_BOTTOM = 50;
+
+/**
+ * PDF tax invoice (same content as the HTML version)
+ * Long orders continue on further pages, repeating the item table header.
+ */
+const renderInvoicePdf = (invoice) => {
+    const pages = [[]];
+    let y = PDF_TOP;
+    const add = run => pages[pages.length - 1].push(run);
+    const newPage = () => {
+        pages.push([]);
+        y = PDF_TOP;
+        add({ x: 40, y, text: `Tax Invoice ${invoice.number} (continued)`, bold: true });
+        y -= 22;
+    };
+    const ensureSpace = (height) => {
+        if (y - height < PDF_BOTTOM) {
+            newPage();
+        }
+    };
+    const line = (text, options = {}) => {
+        ensureSpace(options.gap || 14);
+        add({ x: 40, y, text, ...options });
+        y -= options.gap || 14;
+    };
+
+    line('Tax Invoice', { size: 16, bold: true, gap: 22 });
+    line(invoice.seller.name, { bold: true });
+    if (invoice.seller.address) {
+        line(invoice.seller.address);
+    }
+    line(`GSTIN: ${invoice.seller.gstin}`, { gap: 20 });
+    line(`Invoice No: ${invoice.number}        Invoice Date: ${invoice.issueDate}`, { bold: true });
+    line(`Order: ${invoice.orderNumber} (${invoice.orderId})        Order Date: ${invoice.orderDate}`);
+    line(`Bill To: ${invoice.buyer.name}, ${invoice.buyer.phone}`);
+    line(`Address: ${invoice.buyer.address}`);
+    line(`Place of Supply: ${invoice.placeOfSupply}`, { gap: 22 });
+
+    // Item table; numeric columns are right-aligned at these x positions
+    const columns = [['Qty', 250], ['Rate', 300], ['Taxable', 360], ['GST', 395], ['CGST', 445], ['SGST', 495], ['Total', 555]];
+    const tableHeader = () => {
+        add({ x: 40, y, text: 'Description (SAC)', bold: true });
+        columns.forEach(([title, x]) => add({ x, y, text: title, bold: true, align: 'right' }));
+        y -= 16;
+    };
+    const tableRow = (description, values) => {
+        if (y - 14 < PDF_BOTTOM) {
+            newPage();
+            tableHeader();
+        }
+        add({ x: 40, y, text: description });
+        values.forEach((value, index) => {
+            if (value !== '') {
+                add({ x: columns[index][1], y, text: value, align: 'right' });
+            }
+        });
+        y -= 14;
+    };
+
+    ensureSpace(30);
+    tableHeader();
+
+    invoice.lines.forEach((item) => {
+        tableRow(`${item.description.slice(0, 38)} (${item.sac})`, [
+            item.quantity,
+            formatMoney(item.unitPrice),
+            formatMoney(item.taxableValue),
+            `${item.gstRate}%`,
+            formatMoney(item.cgst),
+            formatMoney(item.sgst),
+            formatMoney(item.total)
+        ]);
+    });
+
+    invoice.charges.forEach((charge) => {
+        tableRow(`${charge.description} (${charge.sac})`, [
+            '',
+            '',
+            formatMoney(charge.taxableValue),
+            `${charge.gstRate}%`,
+            formatMoney(charge.cgst),
+            formatMoney(charge.sgst),
+            formatMoney(charge.total)
+        ]);
+    });
+    y -= 10;
+
+    line('GST summary', { bold: true });
+    invoice.gst.byRate.forEach((entry) => {
+        line(`${entry.rate}% on ${formatMoney(entry.taxableValue)}: CGST ${formatMoney(entry.cgst)}, SGST ${formatMoney(entry.sgst)}`);
+    });
+    y -= 8;
+
+    const totals = [
+        ['Subtotal', formatMoney(invoice.subtotal)],
+        [`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, `-${formatMoney(invoice.discount)}`],
+        ...(invoice.packagingCharge > 0 ? [['Packaging charges', formatMoney(invoice.packagingCharge)]] : []),
+        ...(invoice.deliveryFee > 0 ? [['Delivery charges', formatMoney(invoice.deliveryFee)]] : []),
+        ['CGST', formatMoney(invoice.gst.cgst)],
+        ['SGST', formatMoney(invoice.gst.sgst)],
+        ['Invoice Total (INR)', formatMoney(invoice.total)]
+    ];
+    ensureSpace(totals.length * 14 + 10);
+    totals.forEach(([label, value], index) => {
+        const bold = index === totals.length - 1;
+        add({ x: 380, y, text: label, bold });
+        add({ x: 555, y, text: value, bold, align: 'right' });
+        y -= 14;
+    });
+    y -= 10;
+
+    line(invoice.totalInWords);
+    line(`Payment: ${invoice.paymentMethod}. This is a computer-generated invoice and needs no signature.`, { size: 8 });
+
+    return buildPdf(pages);
+};
+
+/**
+ * GST tax invoice for an order, as HTML (default) or PDF (?format=pdf)
+ * The invoice number is assigned the first time the invoice is requested.
+ * @route GET /api/orders/:id/invoice
+ */
+const getOrderInvoice = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = req.query.format === 'pdf' ? 'pdf' : 'html';
+
+        const result = await dynamoDB.get({
+            TableName: ORDERS_TABLE,
+            Key: { id }
+        }).promise();
+
+        const order = result.Item;
+        const ownsOrder = order && req.user.role === ROLES.CUSTOMER
+            && order.customer && order.customer.phone === req.user.phone;
+
+        if (!order || !(isAdmin(req.user) || ownsOrder)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const block = getInvoiceBlock(order);
+        if (block) {
+            return res.status(409).json({
+                success: false,
+                message: block
+            });
+        }
+
+        order.invoice = await assignInvoiceNumber(order);
+        const invoice = buildInvoice(order);
+        const filename = `invoice-${invoice.number.replace(/\//g, '-')}`;
+
+        if (format === 'pdf') {
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+            return res.status(200).send(renderInvoicePdf(invoice));
+        }
+
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.status(200).send(renderInvoiceHtml(invoice));
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate invoice',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    getOrderInvoice
+};
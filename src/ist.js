@@ -0,0 +1,53 @@
+/**
+ * India Standard Time helpers
+ * The kitchen runs on IST (UTC+05:30, no daylight saving) regardless of server time zone.
+ */
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Calendar date in IST, as YYYY-MM-DD
+ * @param {Date|string} [date] - defaults to now
+ */
+const getIstDateString = (date = new Date()) => {
+    return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * The instant of an IST wall-clock time on an IST date
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} time - HH:MM (24h)
+ * @returns {Date}
+ */
+const istTimeToDate = (dateString, time) => {
+    return new Date(new Date(`${dateString}T${time}:00.000Z`).getTime() - IST_OFFSET_MS);
+};
+
+/**
+ * Weekday name (e.g. "Monday") of an IST date
+ * @param {string} dateString - YYYY-MM-DD
+ */
+const getIstWeekday = (dateString) => {
+    return WEEKDAYS[new Date(`${dateString}T00:00:00.000Z`).getUTCDay()];
+};
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD form
+ */
+const isValidDateString = (dateString) => {
+    if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        return false;
+    }
+    const parsed = new Date(`${dateString}T00:00:00.000Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === dateString;
+};
+
+module.exports = {
+    WEEKDAYS,
+    getIstDateString,
+    istTimeToDate,
+    getIstWeekday,
+    isValidDateString
+};
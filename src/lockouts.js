@@ -0,0 +1,55 @@
+const { unlockAccount } = require('./loginGuard');
+
+const LOGIN_SCOPES = ['user', 'rider', 'admin'];
+
+/**
+ * Clear failed-login counters / lockout for a phone number (or admin email)
+ * Without accountType every login scope is unlocked.
+ * @route POST /api/auth/lockouts/:phone/unlock
+ */
+const unlockLogin = async (req, res) => {
+    try {
+        const { phone } = req.params;
+        const { accountType } = req.body || {};
+
+        if (accountType && !LOGIN_SCOPES.includes(accountType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid account type. Valid: ' + LOGIN_SCOPES.join(', ')
+            });
+        }
+
+        const scopes = accountType ? [accountType] : LOGIN_SCOPES;
+        const unlocked = [];
+
+        for (const scope of scopes) {
+            const cleared = await unlockAccount({
+                scope,
+                phone,
+                actor: req.user.email,
+                ip: req.ip
+            });
+            if (cleared) {
+                unlocked.push(scope);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: unlocked.length > 0 ? 'Account unlocked successfully' : 'Account was not locked',
+            data: { phone, unlocked }
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock account',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    unlockLogin
+};
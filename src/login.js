@@ -1,6 +1,13 @@
 const AWS = require('aws-sdk');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { issueTokens, describeDevice } = require('./tokenService');
+const {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  sendBlockedResponse
+} = require('./loginGuard');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -12,20 +19,14 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 const TABLE_NAME = process.env.DYNAMODB_TABLE;
 
 /**
- * Generate JWT Token
+ * Build JWT claims for a customer account
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      phone: user.phone,
-      name: user.name,
-      role: user.role,
-      email: user.email
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
-};
+const buildClaims = (user) => ({
+  phone: user.phone,
+  name: user.name,
+  role: user.role,
+  email: user.email
+});
 
 /**
  * Login user with phone number
@@ -51,6 +52,12 @@ const loginHandler = async (req, res) => {
       });
     }
 
+    // Brute-force protection (per phone and per IP); the attempt counts as failed until it succeeds
+    const { blocked, reservation: attempt } = await reserveLoginAttempt({ scope: 'user', phone, ip: req.ip });
+    if (blocked) {
+      return sendBlockedResponse(res, blocked);
+    }
+
     // Get user by phone (primary key)
     const getUserParams = {
       TableName: TABLE_NAME,
@@ -60,6 +67,7 @@ const loginHandler = async (req, res) => {
     const result = await dynamoDB.get(getUserParams).promise();
 
     if (!result.Item) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or password'
@@ -70,6 +78,7 @@ const loginHandler = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await releaseLoginAttempt(attempt);
       return res.status(403).json({
         success: false,
         message: 'Your account has been deactivated. Please contact support.'
@@ -80,6 +89,7 @@ const loginHandler = async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or password'
@@ -97,9 +107,10 @@ const loginHandler = async (req, res) => {
     };
 
     await dynamoDB.update(updateParams).promise();
+    await recordLoginSuccess(attempt);
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session (access + refresh token)
+    const tokens = await issueTokens(buildClaims(user), describeDevice(req));
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = user;
@@ -110,7 +121,7 @@ const loginHandler = async (req, res) => {
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token
+        ...tokens
       }
     });
 
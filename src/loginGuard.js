@@ -0,0 +1,377 @@
+const AWS = require('aws-sdk');
+const { recordAuditEvent } = require('./auditLog');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const LOGIN_ATTEMPTS_TABLE = process.env.DYNAMODB_LOGIN_ATTEMPTS_TABLE || 'satvamirtham-login-attempts';
+
+// Per-phone policy: a few free failures, then exponential backoff, then a temporary lockout
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 2;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 8;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+// Per-IP policy: cap failures across all phones within a rolling window
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Counters expire on their own once idle for a day
+const RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+const phoneKey = (scope, phone) => `phone#${scope}#${phone}`;
+const ipKey = (ip) => `ip#${ip}`;
+
+const secondsUntil = (isoDate) => Math.max(Math.ceil((new Date(isoDate) - Date.now()) / 1000), 1);
+
+const getRecord = async (id) => {
+    const result = await dynamoDB.get({
+        TableName: LOGIN_ATTEMPTS_TABLE,
+        Key: { id }
+    }).promise();
+    return result.Item || null;
+};
+
+// A reservation that keeps losing the race for the same counter is turned away after this many tries
+const MAX_RESERVE_TRIES = 3;
+
+const isConditionFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+const busyResponse = () => ({
+    status: 429,
+    message: 'Too many login attempts at once. Please try again.',
+    retryAfter: 1
+});
+
+/**
+ * Count an attempt against the IP's rolling window, unless the window is already full
+ * @returns {Promise<{blocked: Object|null, windowStart?: string}>}
+ */
+const reserveIpAttempt = async (ip) => {
+    for (let tries = 0; tries < MAX_RESERVE_TRIES; tries++) {
+        const now = new Date();
+        const windowCutoff = new Date(now.getTime() - IP_WINDOW_MINUTES * 60 * 1000).toISOString();
+        const ttl = Math.floor(now.getTime() / 1000) + RECORD_TTL_SECONDS;
+
+        try {
+            const result = await dynamoDB.update({
+                TableName: LOGIN_ATTEMPTS_TABLE,
+                Key: { id: ipKey(ip) },
+                UpdateExpression: 'ADD failures :one SET lastFailureAt = :now, #ttl = :ttl',
+                ConditionExpression: 'windowStart > :cutoff AND failures < :max',
+                ExpressionAttributeNames: { '#ttl': 'ttl' },
+                ExpressionAttributeValues: {
+                    ':one': 1,
+                    ':now': now.toISOString(),
+                    ':cutoff': windowCutoff,
+                    ':max': IP_MAX_FAILURES,
+                    ':ttl': ttl
+                },
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            return { blocked: null, windowStart: result.Attributes.windowStart };
+        } catch (error) {
+            if (!isConditionFailure(error)) {
+                throw error;
+            }
+        }
+
+        const record = await getRecord(ipKey(ip));
+        if (record && record.windowStart > windowCutoff) {
+            if (record.failures >= IP_MAX_FAILURES) {
+                const windowEnd = new Date(new Date(record.windowStart).getTime() + IP_WINDOW_MINUTES * 60 * 1000);
+                return {
+                    blocked: {
+                        status: 429,
+                        message: 'Too many failed login attempts from this network. Please try again later.',
+                        retryAfter: secondsUntil(windowEnd.toISOString())
+                    }
+                };
+            }
+            continue; // A parallel request opened a new window meanwhile
+        }
+
+        // No record yet or the window elapsed: start a new window
+        try {
+            await dynamoDB.put({
+                TableName: LOGIN_ATTEMPTS_TABLE,
+                Item: {
+                    id: ipKey(ip),
+                    failures: 1,
+                    windowStart: now.toISOString(),
+                    lastFailureAt: now.toISOString(),
+                    ttl
+                },
+                ConditionExpression: 'attribute_not_exists(id) OR windowStart <= :cutoff',
+                ExpressionAttributeValues: { ':cutoff': windowCutoff }
+            }).promise();
+            return { blocked: null, windowStart: now.toISOString() };
+        } catch (error) {
+            if (!isConditionFailure(error)) {
+                throw error;
+            }
+        }
+    }
+
+    return { blocked: busyResponse() };
+};
+
+/**
+ * Give back an IP attempt that did not fail (only within the window it was counted in)
+ */
+const releaseIpAttempt = async (ip, windowStart) => {
+    try {
+        await dynamoDB.update({
+            TableName: LOGIN_ATTEMPTS_TABLE,
+            Key: { id: ipKey(ip) },
+            UpdateExpression: 'ADD failures :minusOne',
+            ConditionExpression: 'windowStart = :windowStart AND failures > :zero',
+            ExpressionAttributeValues: {
+                ':minusOne': -1,
+                ':windowStart': windowStart,
+                ':zero': 0
+            }
+        }).promise();
+    } catch (error) {
+        if (!isConditionFailure(error)) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Backoff or lockout earned by the given number of failures
+ */
+const penaltyFor = (failures, now) => {
+    if (failures >= LOCKOUT_THRESHOLD) {
+        return { lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString() };
+    }
+    if (failures >= FREE_ATTEMPTS) {
+        // 2s, 4s, 8s, ... after the free attempts are used up
+        const delaySeconds = BACKOFF_BASE_SECONDS * 2 ** (failures - FREE_ATTEMPTS);
+        return { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000).toISOString() };
+    }
+    return {};
+};
+
+/**
+ * Count an attempt against the phone, unless it is locked or backing off
+ * The attempt is written as a failure, with the backoff/lockout it earns, before the password is
+ * compared. The write is conditional on the counter still holding the value that was read and on
+ * no lock or backoff being in force, so parallel guesses each have to win it in turn.
+ * @returns {Promise<{blocked: Object|null, previous?: Object|null, failures?: number, lockedUntil?: string}>}
+ */
+const reservePhoneAttempt = async (scope, phone) => {
+    const id = phoneKey(scope, phone);
+
+    for (let tries = 0; tries < MAX_RESERVE_TRIES; tries++) {
+        const now = new Date();
+        const record = await getRecord(id);
+
+        if (record && record.lockedUntil && new Date(record.lockedUntil) > now) {
+            return {
+                blocked: {
+                    status: 423,
+                    message: 'Account temporarily locked due to too many failed login attempts. Try again later or contact support.',
+                    retryAfter: secondsUntil(record.lockedUntil)
+                }
+            };
+        }
+
+        if (record && record.nextAttemptAt && new Date(record.nextAttemptAt) > now) {
+            return {
+                blocked: {
+                    status: 429,
+                    message: 'Too many failed login attempts. Please wait before trying again.',
+                    retryAfter: secondsUntil(record.nextAttemptAt)
+                }
+            };
+        }
+
+        // An expired lockout starts the count over
+        const failures = (record && !record.lockedUntil ? record.failures : 0) + 1;
+        const penalty = penaltyFor(failures, now);
+
+        try {
+            await dynamoDB.put({
+                TableName: LOGIN_ATTEMPTS_TABLE,
+                Item: {
+                    id,
+                    failures,
+                    lastFailureAt: now.toISOString(),
+                    ...penalty,
+                    ttl: Math.floor(now.getTime() / 1000) + RECORD_TTL_SECONDS
+                },
+                ConditionExpression: record
+                    ? 'failures = :seen AND (attribute_not_exists(lockedUntil) OR lockedUntil <= :now) AND (attribute_not_exists(nextAttemptAt) OR nextAttemptAt <= :now)'
+                    : 'attribute_not_exists(id)',
+                ...(record && {
+                    ExpressionAttributeValues: { ':seen': record.failures, ':now': now.toISOString() }
+                })
+            }).promise();
+            return { blocked: null, previous: record, failures, lockedUntil: penalty.lockedUntil };
+        } catch (error) {
+            if (!isConditionFailure(error)) {
+                throw error;
+            }
+        }
+    }
+
+    return { blocked: busyResponse() };
+};
+
+/**
+ * Reserve a login attempt before the password is compared
+ * The attempt already counts as failed, per phone and per IP, until recordLoginSuccess or
+ * releaseLoginAttempt takes it back.
+ * @param {Object} attempt - { scope: 'user'|'rider'|'admin', phone (email for admins), ip }
+ * @returns {Promise<{blocked: {status: number, message: string, retryAfter: number}|null, reservation?: Object}>}
+ */
+const reserveLoginAttempt = async ({ scope, phone, ip }) => {
+    let ipWindowStart = null;
+
+    if (ip) {
+        const ipReservation = await reserveIpAttempt(ip);
+        if (ipReservation.blocked) {
+            return { blocked: ipReservation.blocked };
+        }
+        ipWindowStart = ipReservation.windowStart;
+    }
+
+    const phoneReservation = await reservePhoneAttempt(scope, phone);
+    if (phoneReservation.blocked) {
+        if (ip) {
+            await releaseIpAttempt(ip, ipWindowStart);
+        }
+        return { blocked: phoneReservation.blocked };
+    }
+
+    return {
+        blocked: null,
+        reservation: {
+            scope,
+            phone,
+            ip,
+            ipWindowStart,
+            previous: phoneReservation.previous,
+            failures: phoneReservation.failures,
+            lockedUntil: phoneReservation.lockedUntil
+        }
+    };
+};
+
+/**
+ * Record a failed login
+ * The reservation already counted it; this audits the lockout if that attempt caused one.
+ * @param {Object} reservation - from reserveLoginAttempt
+ */
+const recordLoginFailure = async ({ scope, phone, ip, failures, lockedUntil }) => {
+    if (lockedUntil) {
+        await recordAuditEvent({
+            type: 'account_locked',
+            target: `${scope}#${phone}`,
+            ip,
+            details: { failures, lockedUntil }
+        });
+    }
+};
+
+/**
+ * Clear the failure counter after a successful login
+ * @param {Object} reservation - from reserveLoginAttempt, or just { scope, phone }
+ */
+const recordLoginSuccess = async ({ scope, phone, ip, ipWindowStart }) => {
+    await dynamoDB.delete({
+        TableName: LOGIN_ATTEMPTS_TABLE,
+        Key: { id: phoneKey(scope, phone) }
+    }).promise();
+
+    if (ip && ipWindowStart) {
+        await releaseIpAttempt(ip, ipWindowStart);
+    }
+};
+
+/**
+ * Take back a reserved attempt that neither failed nor logged in (e.g. second factor not sent yet)
+ * The phone counter is only restored if no other attempt was counted in the meantime.
+ * @param {Object} reservation - from reserveLoginAttempt
+ */
+const releaseLoginAttempt = async ({ scope, phone, ip, ipWindowStart, previous, failures }) => {
+    const condition = {
+        ConditionExpression: 'failures = :failures',
+        ExpressionAttributeValues: { ':failures': failures }
+    };
+
+    try {
+        if (previous) {
+            await dynamoDB.put({ TableName: LOGIN_ATTEMPTS_TABLE, Item: previous, ...condition }).promise();
+        } else {
+            await dynamoDB.delete({ TableName: LOGIN_ATTEMPTS_TABLE, Key: { id: phoneKey(scope, phone) }, ...condition }).promise();
+        }
+    } catch (error) {
+        if (!isConditionFailure(error)) {
+            throw error;
+        }
+    }
+
+    if (ip && ipWindowStart) {
+        await releaseIpAttempt(ip, ipWindowStart);
+    }
+};
+
+/**
+ * Failed-login counter of a phone (null when there is none)
+ */
+const getLoginRecord = ({ scope, phone }) => getRecord(phoneKey(scope, phone));
+
+/**
+ * Remove a lockout (admin action)
+ * @returns {Promise<boolean>} whether there was anything to clear
+ */
+const unlockAccount = async ({ scope, phone, actor, ip }) => {
+    const result = await dynamoDB.delete({
+        TableName: LOGIN_ATTEMPTS_TABLE,
+        Key: { id: phoneKey(scope, phone) },
+        ReturnValues: 'ALL_OLD'
+    }).promise();
+
+    const existed = !!result.Attributes;
+
+    if (existed) {
+        await recordAuditEvent({
+            type: 'account_unlocked',
+            actor,
+            target: `${scope}#${phone}`,
+            ip,
+            details: { previousLockedUntil: result.Attributes.lockedUntil || null }
+        });
+    }
+
+    return existed;
+};
+
+/**
+ * Send the response for a blocked attempt (from reserveLoginAttempt)
+ */
+const sendBlockedResponse = (res, blocked) => {
+    res.set('Retry-After', String(blocked.retryAfter));
+    return res.status(blocked.status).json({
+        success: false,
+        message: blocked.message,
+        retryAfter: blocked.retryAfter
+    });
+};
+
+module.exports = {
+    reserveLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    releaseLoginAttempt,
+    getLoginRecord,
+    unlockAccount,
+    sendBlockedResponse
+};
@@ -0,0 +1,315 @@
+const AWS = require('aws-sdk');
+const bcrypt = require('bcryptjs');
+const {
+    validateName,
+    validateEmail,
+    validateProfileImage,
+    validateAddress,
+    normalizeEmail
+} = require('./profileValidation');
+const {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    exportCustomerData,
+    scheduleAccountDeletion,
+    cancelAccountDeletion
+} = require('./customerData');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+
+// Fields a customer may change on their own record. Phone is the table key and
+// role/isActive/isVerified are managed elsewhere, so they are never accepted here.
+const PROFILE_VALIDATORS = {
+    name: validateName,
+    email: validateEmail,
+    profileImage: validateProfileImage,
+    address: validateAddress
+};
+
+/**
+ * Strip credentials and internal fields before returning a user record
+ */
+const sanitizeUser = (user) => {
+    const { password, ...profile } = user;
+    return profile;
+};
+
+/**
+ * Load the caller's customer record (null for missing or legacy rider rows)
+ */
+const findCustomer = async (phone) => {
+    const result = await dynamoDB.get({
+        TableName: USERS_TABLE,
+        Key: { phone }
+    }).promise();
+
+    if (!result.Item || result.Item.role === 'rider') {
+        return null;
+    }
+    return result.Item;
+};
+
+/**
+ * Get the logged-in customer's profile
+ * @route GET /api/me
+ */
+const getMe = async (req, res) => {
+    try {
+        const user = await findCustomer(req.user.phone);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: sanitizeUser(user)
+        });
+
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch profile',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Update the logged-in customer's profile
+ * Accepts name, email, profileImage and address. Changing the email resets emailVerified.
+ * Name/email in already-issued access tokens stay as they were until the next login.
+ * @route PATCH /api/me
+ */
+const updateMe = async (req, res) => {
+    try {
+        const fields = Object.keys(req.body || {});
+        const disallowed = fields.filter(field => !PROFILE_VALIDATORS[field]);
+
+        if (disallowed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `These fields cannot be updated: ${disallowed.join(', ')}. Allowed: ${Object.keys(PROFILE_VALIDATORS).join(', ')}`
+            });
+        }
+
+        if (fields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        for (const field of fields) {
+            const validationError = PROFILE_VALIDATORS[field](req.body[field]);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+        }
+
+        const existing = await findCustomer(req.user.phone);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const now = new Date().toISOString();
+        const updates = {};
+        fields.forEach((field) => {
+            updates[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+        });
+
+        if ('email' in updates) {
+            updates.email = normalizeEmail(updates.email);
+            if (updates.email !== (existing.email || null)) {
+                updates.emailVerified = false;
+                updates.emailChangedAt = now;
+            }
+        }
+        updates.updatedAt = now;
+
+        const expressionNames = {};
+        const expressionValues = {};
+        const setParts = Object.keys(updates).map((key) => {
+            expressionNames[`#${key}`] = key;
+            expressionValues[`:${key}`] = updates[key];
+            return `#${key} = :${key}`;
+        });
+
+        const result = await dynamoDB.update({
+            TableName: USERS_TABLE,
+            Key: { phone: req.user.phone },
+            UpdateExpression: `SET ${setParts.join(', ')}`,
+            ConditionExpression: 'attribute_exists(phone)',
+            ExpressionAttributeNames: expressionNames,
+            ExpressionAttributeValues: expressionValues,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: sanitizeUser(result.Attributes)
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Download everything we hold about the logged-in customer (profile, addresses, orders)
+ * @route GET /api/me/export
+ */
+const exportMyData = async (req, res) => {
+    try {
+        const user = await findCustomer(req.user.phone);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const data = await exportCustomerData(user);
+
+        res.set('Content-Disposition', `attachment; filename="satvamirtham-data-${user.phone}.json"`);
+        res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Export data error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export data',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Request deletion of the logged-in customer's account (password required)
+ * The account stays usable until the grace period ends and the purge job removes it.
+ * @route DELETE /api/me
+ */
+const requestAccountDeletion = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is required to delete your account'
+            });
+        }
+
+        const user = await findCustomer(req.user.phone);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        const scheduledFor = await scheduleAccountDeletion(user.phone);
+
+        res.status(200).json({
+            success: true,
+            message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel before then.`,
+            data: { deletionScheduledFor: scheduledFor }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule account deletion',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Cancel a pending account deletion
+ * @route POST /api/me/deletion/cancel
+ */
+const cancelMyAccountDeletion = async (req, res) => {
+    try {
+        await cancelAccountDeletion(req.user.phone);
+
+        res.status(200).json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Cancel account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel account deletion',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    getMe,
+    updateMe,
+    exportMyData,
+    requestAccountDeletion,
+    cancelMyAccountDeletion
+};
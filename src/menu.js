@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { putWithUniqueId } = require('./ids');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -207,29 +208,22 @@ const createMenuItem = async (req, res) => {
       });
     }
 
-    // Generate unique ID
-    const id = `MENU${Date.now()}`;
-
-    const menuItem = {
-      id, // Primary key
-      name,
-      description: description || '',
-      price: parseFloat(price),
-      day, // Monday to Sunday
-      image: image || 'https://via.placeholder.com/400',
-      rating: parseFloat(rating) || 4.5,
-      isActive: true,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    const params = {
+    const menuItem = await putWithUniqueId({
       TableName: MENU_TABLE,
-      Item: menuItem,
-      ConditionExpression: 'attribute_not_exists(id)'
-    };
-
-    await dynamoDB.put(params).promise();
+      prefix: 'MENU',
+      build: (id) => ({
+        id, // Primary key
+        name,
+        description: description || '',
+        price: parseFloat(price),
+        day, // Monday to Sunday
+        image: image || 'https://via.placeholder.com/400',
+        rating: parseFloat(rating) || 4.5,
+        isActive: true,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      })
+    });
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,195 @@
+const AWS = require('aws-sdk');
+const { CUSTOMER_TRANSITIONS, normalizeStatus, transitionOrder } = require('./orderLifecycle');
+const { isPaidOrder, createRefundRecord } = require('./refunds');
+const { RIDERS_TABLE } = require('./riderAccounts');
+const { getIstDateString, istTimeToDate } = require('./ist');
+const { displayOrderNumber } = require('./ids');
+const { releaseCouponRedemption } = require('./coupons');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+// Why a customer cancelled; 'other' needs a note
+const CANCELLATION_REASONS = ['changed_mind', 'ordered_by_mistake', 'delivery_time', 'address_issue', 'other'];
+
+const MAX_NOTE_LENGTH = 300;
+
+// Latest IST time on the delivery day a meal can be cancelled.
+// Override with ORDER_CANCEL_CUTOFFS, e.g. {"lunch":"10:00"}
+const DEFAULT_CANCEL_CUTOFFS = {
+    breakfast: '07:00',
+    lunch: '10:30',
+    dinner: '17:30'
+};
+
+const parseCutoffs = () => {
+    try {
+        return { ...DEFAULT_CANCEL_CUTOFFS, ...JSON.parse(process.env.ORDER_CANCEL_CUTOFFS || '{}') };
+    } catch (error) {
+        console.error('Invalid ORDER_CANCEL_CUTOFFS, using defaults:', error.message);
+        return DEFAULT_CANCEL_CUTOFFS;
+    }
+};
+
+const CANCEL_CUTOFFS = parseCutoffs();
+
+/**
+ * Why a customer can't cancel this order right now (null if they can)
+ * Orders are cancellable until preparation starts and until the cutoff of every
+ * meal (the pre-order slot and package mealTypes) in the order, on the order's IST delivery date.
+ */
+const getCancellationBlock = (order, now = new Date()) => {
+    const status = normalizeStatus(order.status);
+
+    if (!(CUSTOMER_TRANSITIONS[status] || []).includes('cancelled')) {
+        return status === 'cancelled'
+            ? 'This order is already cancelled'
+            : `This order can no longer be cancelled (it is ${status})`;
+    }
+
+    const deliveryDate = order.deliveryDate || getIstDateString(order.createdAt);
+    // ASAP orders also carry a mealSlot (for search), but only a pre-order's slot has a cutoff
+    const preorderSlot = order.deliveryDate ? order.mealSlot : null;
+    const mealTypes = [...new Set([preorderSlot, ...(order.items || []).map(item => item.mealType)].filter(Boolean))];
+
+    for (const mealType of mealTypes) {
+        const cutoff = CANCEL_CUTOFFS[mealType];
+        if (cutoff && now >= istTimeToDate(deliveryDate, cutoff)) {
+            return `${mealType.charAt(0).toUpperCase() + mealType.slice(1)} orders can't be cancelled after ${cutoff} IST`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Let the assigned rider know the trip is off (best effort)
+ */
+const notifyRiderOfCancellation = async (order) => {
+    try {
+        const result = await dynamoDB.get({
+            TableName: RIDERS_TABLE,
+            Key: { id: order.riderId }
+        }).promise();
+
+        const rider = result.Item;
+        if (rider && rider.fcmToken) {
+            const { sendNotificationToRider } = require('./firebaseService');
+            await sendNotificationToRider(
+                rider.fcmToken,
+                'Order cancelled',
+                `Order ${displayOrderNumber(order)} was cancelled by the customer. No pickup needed.`,
+                { orderId: order.id, type: 'order_cancelled' }
+            );
+        }
+    } catch (error) {
+        console.error(`Rider cancellation notice failed for order ${order.id}:`, error.message);
+    }
+};
+
+/**
+ * Cancel one of the logged-in customer's orders
+ * Body: { reasonCode, note }. Prepaid orders get a pending refund record;
+ * an assigned rider is taken off the order and notified.
+ * @route POST /api/orders/:id/cancel
+ */
+const cancelOrder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reasonCode, note } = req.body || {};
+
+        if (!CANCELLATION_REASONS.includes(reasonCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid reason code is required. Valid: ' + CANCELLATION_REASONS.join(', ')
+            });
+        }
+
+        if (reasonCode === 'other' && (typeof note !== 'string' || !note.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please tell us why you are cancelling'
+            });
+        }
+
+        const existing = await dynamoDB.get({
+            TableName: ORDERS_TABLE,
+            Key: { id }
+        }).promise();
+
+        const order = existing.Item;
+        if (!order || !order.customer || order.customer.phone !== req.user.phone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const block = getCancellationBlock(order);
+        if (block) {
+            return res.status(409).json({
+                success: false,
+                message: block
+            });
+        }
+
+        const trimmedNote = typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : null;
+        const prepaid = isPaidOrder(order);
+
+        const cancelled = await transitionOrder({
+            order,
+            to: 'cancelled',
+            user: req.user,
+            reason: trimmedNote ? `${reasonCode}: ${trimmedNote}` : reasonCode,
+            set: {
+                cancellation: { by: 'customer', reasonCode, note: trimmedNote },
+                ...(prepaid && { refundId: `RFD-${order.id}` }),
+                // Release the assigned rider (customers can only cancel before pickup)
+                ...(order.riderId && { riderId: null, riderName: null, releasedRiderId: order.riderId })
+            }
+        });
+
+        await releaseCouponRedemption(cancelled);
+
+        const refund = prepaid
+            ? await createRefundRecord(cancelled, { reasonCode, requestedBy: req.user.phone })
+            : null;
+
+        if (order.riderId) {
+            await notifyRiderOfCancellation(order);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: refund
+                ? 'Order cancelled. Your refund has been initiated.'
+                : 'Order cancelled successfully',
+            data: { order: cancelled, refund }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    cancelOrder
+};
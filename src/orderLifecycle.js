@@ -0,0 +1,354 @@
+const AWS = require('aws-sdk');
+const { ROLES, isAdmin } = require('./authMiddleware');
+const { RIDERS_TABLE } = require('./riderAccounts');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+// Valid order statuses, in lifecycle order
+// Pre-orders wait as scheduled until released (see orderSchedule.js), then follow the normal flow.
+// Kitchen: placed -> confirmed -> preparing -> ready; rider: pickedUp -> outForDelivery -> delivered
+const ORDER_STATUSES = [
+    'scheduled',
+    'placed',
+    'confirmed',
+    'preparing',
+    'ready',
+    'pickedUp',
+    'outForDelivery',
+    'delivered',
+    'cancelled'
+];
+
+// Orders written before the kitchen/rider states used 'inProgress' once a rider was assigned
+const LEGACY_STATUS_MAP = {
+    inProgress: 'outForDelivery'
+};
+
+// Allowed next statuses for each status; delivered and cancelled are final
+const TRANSITIONS = {
+    scheduled: ['placed', 'cancelled'],
+    placed: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['pickedUp', 'cancelled'],
+    pickedUp: ['outForDelivery', 'cancelled'],
+    outForDelivery: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+// Riders only move the orders assigned to them along the delivery leg
+const RIDER_TRANSITIONS = {
+    ready: ['pickedUp'],
+    pickedUp: ['outForDelivery'],
+    outForDelivery: ['delivered']
+};
+
+// Customers may only cancel, and only before the kitchen starts preparing (see orderCancellation.js)
+const CUSTOMER_TRANSITIONS = {
+    scheduled: ['cancelled'],
+    placed: ['cancelled'],
+    confirmed: ['cancelled']
+};
+
+// A rider can be (re)assigned until the food has been picked up
+const ASSIGNABLE_STATUSES = ['placed', 'confirmed', 'preparing', 'ready'];
+
+// Statuses during which the assigned rider is carrying the order
+const RIDER_BUSY_STATUSES = ['pickedUp', 'outForDelivery'];
+
+// Order attributes that key an index; DynamoDB rejects null index keys, so clearing one removes it
+const INDEX_KEY_ATTRIBUTES = ['riderId'];
+
+// Timestamp set when an order enters each status
+const STATUS_TIMESTAMPS = {
+    placed: 'releasedAt',
+    confirmed: 'confirmedAt',
+    preparing: 'preparingAt',
+    ready: 'readyAt',
+    pickedUp: 'pickedUpAt',
+    outForDelivery: 'outForDeliveryAt',
+    delivered: 'deliveredAt',
+    cancelled: 'cancelledAt'
+};
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Current status of an order in today's vocabulary (maps legacy 'inProgress')
+ */
+const normalizeStatus = (status) => LEGACY_STATUS_MAP[status] || status;
+
+/**
+ * Stored status values that mean `status` (itself plus any legacy aliases), for filters
+ */
+const getStoredStatuses = (status) => {
+    return [status, ...Object.keys(LEGACY_STATUS_MAP).filter(legacy => LEGACY_STATUS_MAP[legacy] === status)];
+};
+
+/**
+ * Delivered and cancelled orders can't change any more
+ */
+const isFinalStatus = (status) => {
+    const transitions = TRANSITIONS[normalizeStatus(status)];
+    return Array.isArray(transitions) && transitions.length === 0;
+};
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const lifecycleError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Who made a change, as stored in statusHistory
+ */
+const describeActor = (user) => {
+    if (!user) {
+        return { role: 'system', id: null };
+    }
+    if (isAdmin(user)) {
+        return { role: user.role, id: user.email };
+    }
+    if (user.role === ROLES.RIDER) {
+        return { role: user.role, id: user.riderId };
+    }
+    return { role: user.role, id: user.phone };
+};
+
+const buildHistoryEntry = ({ from, to, user, reason = null, at = new Date().toISOString() }) => ({
+    from,
+    to,
+    at,
+    by: describeActor(user),
+    reason: reason ? String(reason).slice(0, MAX_REASON_LENGTH) : null
+});
+
+/**
+ * Check that `user` may move an order from its current status to `to`
+ * @returns {string|null} error message
+ */
+const getTransitionError = (order, to, user) => {
+    if (!ORDER_STATUSES.includes(to)) {
+        return 'Invalid status. Valid statuses: ' + ORDER_STATUSES.join(', ');
+    }
+
+    const current = normalizeStatus(order.status);
+    let table = TRANSITIONS;
+    if (user && user.role === ROLES.RIDER) {
+        table = RIDER_TRANSITIONS;
+    } else if (user && user.role === ROLES.CUSTOMER) {
+        table = CUSTOMER_TRANSITIONS;
+    }
+    const allowed = table[current] || [];
+
+    if (!allowed.includes(to)) {
+        return `Cannot change order status from ${current} to ${to}`;
+    }
+    if (to === 'pickedUp' && !order.riderId) {
+        return 'Assign a rider before marking the order as picked up';
+    }
+    return null;
+};
+
+/**
+ * Move an order to a new status and append to its history
+ * The write is conditional on the status we validated against, so concurrent
+ * changes can't skip the transition table.
+ * @param {Object} params
+ * @param {Object} params.order - current order record
+ * @param {string} params.to - target status
+ * @param {Object} params.user - req.user of the caller (null for system jobs)
+ * @param {string} [params.reason]
+ * @param {Object} [params.set] - extra attributes to set in the same write
+ * @returns {Promise<Object>} updated order
+ */
+const transitionOrder = async ({ order, to, user, reason = null, set = {} }) => {
+    const transitionError = getTransitionError(order, to, user);
+    if (transitionError) {
+        throw lifecycleError(transitionError, 409);
+    }
+
+    const now = new Date().toISOString();
+    const updates = { ...set, updatedAt: now };
+    if (STATUS_TIMESTAMPS[to]) {
+        updates[STATUS_TIMESTAMPS[to]] = now;
+    }
+
+    return updateWithHistory({
+        order,
+        updates,
+        status: to,
+        entry: buildHistoryEntry({ from: normalizeStatus(order.status), to, user, reason, at: now })
+    });
+};
+
+/**
+ * Assign (or reassign) a rider before pickup; the order status does not change
+ * @returns {Promise<Object>} updated order
+ */
+const assignOrderRider = async ({ order, riderId, riderName, user }) => {
+    if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+        throw lifecycleError(`Cannot assign a rider once an order is ${normalizeStatus(order.status)}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const to = order.status;
+    const reason = order.riderId && order.riderId !== riderId
+        ? `Reassigned from rider ${order.riderId} to ${riderId}`
+        : `Assigned to rider ${riderId}`;
+
+    return updateWithHistory({
+        order,
+        updates: { riderId, riderName, updatedAt: now },
+        status: to,
+        entry: buildHistoryEntry({ from: order.status, to, user, reason, at: now })
+    });
+};
+
+/**
+ * Keep the rider record in step with the delivery leg of an order
+ * pickedUp marks the rider on-delivery; delivered/cancelled frees them (delivered counts
+ * towards totalDeliveries). Best effort: the order change has already been saved.
+ */
+const syncRiderWithOrder = async (order) => {
+    if (!order.riderId) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    let params = null;
+
+    if (order.status === 'pickedUp') {
+        params = {
+            UpdateExpression: 'SET #status = :onDelivery, currentOrderId = :orderId, updatedAt = :now',
+            ExpressionAttributeValues: { ':onDelivery': 'on-delivery', ':orderId': order.id, ':now': now }
+        };
+    } else if (order.status === 'delivered' || order.status === 'cancelled') {
+        params = {
+            UpdateExpression: order.status === 'delivered'
+                ? 'SET #status = :available, currentOrderId = :null, updatedAt = :now ADD totalDeliveries :one'
+                : 'SET #status = :available, currentOrderId = :null, updatedAt = :now',
+            ConditionExpression: 'currentOrderId = :orderId',
+            ExpressionAttributeValues: {
+                ':available': 'available',
+                ':null': null,
+                ':orderId': order.id,
+                ':now': now,
+                ...(order.status === 'delivered' && { ':one': 1 })
+            }
+        };
+    }
+
+    if (!params) {
+        return;
+    }
+
+    try {
+        await dynamoDB.update({
+            TableName: RIDERS_TABLE,
+            Key: { id: order.riderId },
+            ExpressionAttributeNames: { '#status': 'status' },
+            ...params
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            console.error(`Rider sync failed for order ${order.id}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Conditional update: set status/attributes and append a history entry,
+ * only if the order still has the status it was validated against
+ */
+const updateWithHistory = async ({ order, updates, status, entry }) => {
+    const expressionNames = { '#status': 'status' };
+    const expressionValues = {
+        ':status': status,
+        ':expected': order.status,
+        ':entry': [entry],
+        ':empty': []
+    };
+
+    const setParts = ['#status = :status', 'statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry)'];
+    const removeParts = [];
+    Object.keys(updates).forEach((key) => {
+        expressionNames[`#${key}`] = key;
+        if (updates[key] === null && INDEX_KEY_ATTRIBUTES.includes(key)) {
+            removeParts.push(`#${key}`);
+            return;
+        }
+        expressionValues[`:${key}`] = updates[key];
+        setParts.push(`#${key} = :${key}`);
+    });
+
+    try {
+        const result = await dynamoDB.update({
+            TableName: ORDERS_TABLE,
+            Key: { id: order.id },
+            UpdateExpression: `SET ${setParts.join(', ')}${removeParts.length > 0 ? ` REMOVE ${removeParts.join(', ')}` : ''}`,
+            ConditionExpression: '#status = :expected',
+            ExpressionAttributeNames: expressionNames,
+            ExpressionAttributeValues: expressionValues,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        return result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            throw lifecycleError('Order status was changed by someone else. Please refresh and try again.', 409);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Status timeline for an order, oldest first
+ * Orders created before statusHistory existed get a best-effort timeline from their timestamps.
+ * Non-admins see the role behind each change but not who it was.
+ */
+const buildTimeline = (order, user) => {
+    let history = order.statusHistory;
+
+    if (!Array.isArray(history) || history.length === 0) {
+        history = [buildHistoryEntry({ from: null, to: 'placed', user: null, at: order.createdAt })];
+        if (order.status !== 'placed') {
+            history.push(buildHistoryEntry({
+                from: 'placed',
+                to: normalizeStatus(order.status),
+                user: null,
+                at: order.deliveredAt || order.updatedAt
+            }));
+        }
+    }
+
+    if (isAdmin(user)) {
+        return history;
+    }
+    return history.map(entry => ({ ...entry, by: { role: entry.by.role } }));
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    CUSTOMER_TRANSITIONS,
+    RIDER_BUSY_STATUSES,
+    normalizeStatus,
+    getStoredStatuses,
+    isFinalStatus,
+    buildHistoryEntry,
+    transitionOrder,
+    assignOrderRider,
+    syncRiderWithOrder,
+    buildTimeline
+};
@@ -0,0 +1,210 @@
+const AWS = require('aws-sdk');
+const { transitionOrder } = require('./orderLifecycle');
+const { getIstDateString, istTimeToDate, getIstWeekday, isValidDateString } = require('./ist');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+// IST time each meal slot starts being delivered.
+// Override with MEAL_SLOT_TIMES, e.g. {"lunch":"13:00"}
+const DEFAULT_MEAL_SLOT_TIMES = {
+    breakfast: '08:00',
+    lunch: '12:30',
+    dinner: '19:30'
+};
+
+const parseSlotTimes = () => {
+    try {
+        return { ...DEFAULT_MEAL_SLOT_TIMES, ...JSON.parse(process.env.MEAL_SLOT_TIMES || '{}') };
+    } catch (error) {
+        console.error('Invalid MEAL_SLOT_TIMES, using defaults:', error.message);
+        return DEFAULT_MEAL_SLOT_TIMES;
+    }
+};
+
+const MEAL_SLOT_TIMES = parseSlotTimes();
+
+const MEAL_SLOTS = Object.keys(MEAL_SLOT_TIMES);
+
+// Pre-orders stay 'scheduled' until this long before their slot, then go to the kitchen as 'placed'
+const RELEASE_LEAD_MINUTES = parseInt(process.env.ORDER_RELEASE_LEAD_MINUTES) || 180;
+
+// How far ahead customers can order
+const MAX_PREORDER_DAYS = parseInt(process.env.MAX_PREORDER_DAYS) || 7;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const scheduleError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a requested delivery date and meal slot against the priced order lines
+ * Packages only run on their weekday and meal type; singles can go with any slot.
+ * @param {Object} params
+ * @param {string} params.deliveryDate - IST date, YYYY-MM-DD
+ * @param {string} params.mealSlot - breakfast, lunch or dinner
+ * @param {Array<Object>} params.items - priced lines from priceOrder
+ * @returns {{deliveryDate: string, mealSlot: string, slotStartsAt: string, releaseAt: string, scheduled: boolean}}
+ */
+const resolveDeliverySlot = ({ deliveryDate, mealSlot, items }, now = new Date()) => {
+    if (!isValidDateString(deliveryDate)) {
+        throw scheduleError('Delivery date must be a valid date (YYYY-MM-DD)');
+    }
+    if (!MEAL_SLOTS.includes(mealSlot)) {
+        throw scheduleError('Invalid meal slot. Valid: ' + MEAL_SLOTS.join(', '));
+    }
+
+    const today = getIstDateString(now);
+    if (deliveryDate < today) {
+        throw scheduleError('Delivery date is in the past');
+    }
+    if (deliveryDate > addDays(today, MAX_PREORDER_DAYS)) {
+        throw scheduleError(`Orders can be placed at most ${MAX_PREORDER_DAYS} days ahead`);
+    }
+
+    const slotStartsAt = istTimeToDate(deliveryDate, MEAL_SLOT_TIMES[mealSlot]);
+    if (slotStartsAt <= now) {
+        throw scheduleError(`The ${mealSlot} slot on ${deliveryDate} has already started`);
+    }
+
+    const weekday = getIstWeekday(deliveryDate);
+    for (const item of items) {
+        if (item.type !== 'package') {
+            continue;
+        }
+        if (item.day !== weekday || item.mealType !== mealSlot) {
+            throw scheduleError(`${item.name} is served on ${item.day} ${item.mealType}, not ${weekday} ${mealSlot}`);
+        }
+    }
+
+    const releaseAt = new Date(slotStartsAt.getTime() - RELEASE_LEAD_MINUTES * 60 * 1000);
+
+    return {
+        deliveryDate,
+        mealSlot,
+        slotStartsAt: slotStartsAt.toISOString(),
+        releaseAt: releaseAt.toISOString(),
+        scheduled: releaseAt > now
+    };
+};
+
+/**
+ * Meal slot of an order placed for now (ASAP), so it can be listed with that slot's pre-orders
+ * A package fixes it (packages belong to one meal); otherwise it is the slot starting nearest
+ * to when the order was placed, in IST.
+ * @param {Object} order - { items, createdAt }
+ */
+const inferMealSlot = ({ items, createdAt }) => {
+    const packageLine = (items || []).find(item => item.type === 'package' && MEAL_SLOTS.includes(item.mealType));
+    if (packageLine) {
+        return packageLine.mealType;
+    }
+
+    const date = getIstDateString(createdAt);
+    const placedAt = new Date(createdAt).getTime();
+    const distance = (slot) => Math.abs(istTimeToDate(date, MEAL_SLOT_TIMES[slot]).getTime() - placedAt);
+    return MEAL_SLOTS.reduce((nearest, slot) => (distance(slot) < distance(nearest) ? slot : nearest));
+};
+
+/**
+ * Scheduled orders whose release time has come
+ */
+const findOrdersDueForRelease = async (now = new Date()) => {
+    const orders = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: ORDERS_TABLE,
+            FilterExpression: '#status = :scheduled AND releaseAt <= :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':scheduled': 'scheduled', ':now': now.toISOString() },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        orders.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return orders;
+};
+
+/**
+ * Move due scheduled orders into the kitchen flow ('placed')
+ * Orders changed meanwhile (e.g. cancelled) are skipped.
+ * @param {Object} [user] - admin who triggered the release (null for the scheduler)
+ * @returns {Promise<{released: Array<string>, skipped: Array<string>}>} order ids
+ */
+const releaseDueOrders = async (user = null, now = new Date()) => {
+    const due = await findOrdersDueForRelease(now);
+    const released = [];
+    const skipped = [];
+
+    for (const order of due) {
+        try {
+            await transitionOrder({
+                order,
+                to: 'placed',
+                user,
+                reason: 'Released to the kitchen'
+            });
+            released.push(order.id);
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            skipped.push(order.id);
+        }
+    }
+
+    return { released, skipped };
+};
+
+/**
+ * Release scheduled orders that are due now (the scheduler normally does this)
+ * @route POST /api/orders/scheduled/release
+ */
+const releaseScheduledOrders = async (req, res) => {
+    try {
+        const result = await releaseDueOrders(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: `Released ${result.released.length} scheduled order(s) to the kitchen`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Release scheduled orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to release scheduled orders',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    MEAL_SLOTS,
+    resolveDeliverySlot,
+    inferMealSlot,
+    findOrdersDueForRelease,
+    releaseDueOrders,
+    releaseScheduledOrders
+};
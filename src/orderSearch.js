@@ -0,0 +1,285 @@
+const { LIST_KEYS } = require('./pagination');
+const { MEAL_SLOTS, inferMealSlot } = require('./orderSchedule');
+const { PAYMENT_METHODS } = require('./payments');
+const { getIstDateString, istTimeToDate, isValidDateString } = require('./ist');
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+
+const MIN_SEARCH_LENGTH = 2;
+const MAX_SEARCH_LENGTH = 100;
+
+const searchError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Lowercased, single-spaced text for contains() matching
+ */
+const normalizeSearchText = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Attributes that make an order findable, written with the order (and by scripts/backfill-list-indexes.js)
+ *   deliveryKey: "<IST delivery date>#<createdAt>", sort key of listKey-deliveryKey-index;
+ *                ASAP orders count as delivered on the day they were placed
+ *   searchText:  customer name and address
+ *   itemSearch:  ids and names of the ordered items
+ *   mealSlot:    the pre-order slot; ASAP orders get the slot they were placed for (see inferMealSlot)
+ */
+const buildSearchFields = (order) => {
+    const deliveryDate = order.deliveryDate || getIstDateString(order.createdAt);
+    const customer = order.customer || {};
+    return {
+        deliveryKey: `${deliveryDate}#${order.createdAt}`,
+        mealSlot: order.mealSlot || inferMealSlot(order),
+        searchText: normalizeSearchText(`${customer.name || ''} | ${customer.address || ''}`),
+        itemSearch: normalizeSearchText((order.items || []).map(item => `${item.id} ${item.name || ''}`).join(' | '))
+    };
+};
+
+const parseDateRange = (query, fromParam, toParam) => {
+    const from = query[fromParam];
+    const to = query[toParam];
+    if (!from && !to) {
+        return null;
+    }
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        throw searchError(`${fromParam} and ${toParam} must be dates in YYYY-MM-DD form (IST)`);
+    }
+    if (from && to && from > to) {
+        throw searchError(`${fromParam} must not be after ${toParam}`);
+    }
+    return { from: from || null, to: to || null };
+};
+
+const parseAmount = (value, param) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw searchError(`${param} must be a non-negative amount`);
+    }
+    return amount;
+};
+
+const parseSearchTerm = (value, param) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const term = normalizeSearchText(value);
+    if (term.length < MIN_SEARCH_LENGTH || term.length > MAX_SEARCH_LENGTH) {
+        throw searchError(`${param} must be ${MIN_SEARCH_LENGTH}-${MAX_SEARCH_LENGTH} characters`);
+    }
+    return term;
+};
+
+/**
+ * Search filters from the order list query string
+ * createdFrom/createdTo and deliveryFrom/deliveryTo are inclusive IST dates (YYYY-MM-DD).
+ * @throws {Error} 400 for invalid values
+ */
+const parseOrderFilters = (query) => {
+    const filters = {
+        created: parseDateRange(query, 'createdFrom', 'createdTo'),
+        delivery: parseDateRange(query, 'deliveryFrom', 'deliveryTo'),
+        mealSlot: query.mealSlot || null,
+        minAmount: parseAmount(query.minAmount, 'minAmount'),
+        maxAmount: parseAmount(query.maxAmount, 'maxAmount'),
+        paymentMethod: query.paymentMethod || null,
+        item: parseSearchTerm(query.item, 'item'),
+        text: parseSearchTerm(query.q, 'q')
+    };
+
+    if (filters.mealSlot && !MEAL_SLOTS.includes(filters.mealSlot)) {
+        throw searchError('Invalid meal slot. Valid: ' + MEAL_SLOTS.join(', '));
+    }
+    if (filters.paymentMethod && !PAYMENT_METHODS.includes(filters.paymentMethod)) {
+        throw searchError(`Invalid payment method. Valid: ${PAYMENT_METHODS.join(', ')}`);
+    }
+    if (filters.minAmount !== null && filters.maxAmount !== null && filters.minAmount > filters.maxAmount) {
+        throw searchError('minAmount must not be more than maxAmount');
+    }
+
+    return filters;
+};
+
+const nextDate = (dateString) => {
+    const date = new Date(`${dateString}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * createdAt bounds (ISO, inclusive) of an IST date range
+ */
+const createdBounds = ({ from, to }) => ({
+    start: from ? istTimeToDate(from, '00:00').toISOString() : null,
+    end: to ? new Date(istTimeToDate(nextDate(to), '00:00').getTime() - 1).toISOString() : null
+});
+
+/**
+ * Sort key condition or filter for an optional [start, end] range on one attribute
+ */
+const rangeExpression = (attr, start, end, startValue, endValue) => {
+    if (start !== null && end !== null) {
+        return `${attr} BETWEEN ${startValue} AND ${endValue}`;
+    }
+    return start !== null ? `${attr} >= ${startValue}` : `${attr} <= ${endValue}`;
+};
+
+/**
+ * Newest-first query params for an order listing, using the narrowest index for the filters
+ *   phone          -> customerPhone-createdAt-index
+ *   rider          -> riderId-createdAt-index
+ *   delivery dates -> listKey-deliveryKey-index (newest delivery first)
+ *   one status     -> status-createdAt-index
+ *   otherwise      -> listKey-createdAt-index
+ * Created-date ranges narrow the createdAt sort key where the index has it; every other
+ * criterion is a FilterExpression on the index pages (see queryPage). Item and free-text search
+ * are contains() filters, so sparse matches come back as short pages with a cursor.
+ * @param {Object} criteria - { statuses?, phone?, riderId? } plus the result of parseOrderFilters
+ * @returns {{query: Object, keyAttributes: string[]}}
+ */
+const buildOrderListQuery = ({ statuses = null, phone = null, riderId = null, ...filters }) => {
+    const names = {};
+    const values = {};
+    const conditions = [];
+    let query;
+
+    if (phone) {
+        query = {
+            IndexName: 'customerPhone-createdAt-index',
+            KeyConditionExpression: 'customerPhone = :phone',
+            keyAttributes: ['id', 'customerPhone', 'createdAt']
+        };
+        values[':phone'] = phone;
+    } else if (riderId) {
+        query = {
+            IndexName: 'riderId-createdAt-index',
+            KeyConditionExpression: 'riderId = :riderId',
+            keyAttributes: ['id', 'riderId', 'createdAt']
+        };
+    } else if (filters.delivery) {
+        query = {
+            IndexName: 'listKey-deliveryKey-index',
+            KeyConditionExpression: 'listKey = :listKey',
+            keyAttributes: ['id', 'listKey', 'deliveryKey']
+        };
+        values[':listKey'] = LIST_KEYS.orders;
+    } else if (statuses && statuses.length === 1) {
+        query = {
+            IndexName: 'status-createdAt-index',
+            KeyConditionExpression: '#status = :status0',
+            keyAttributes: ['id', 'status', 'createdAt']
+        };
+    } else {
+        query = {
+            IndexName: 'listKey-createdAt-index',
+            KeyConditionExpression: 'listKey = :listKey',
+            keyAttributes: ['id', 'listKey', 'createdAt']
+        };
+        values[':listKey'] = LIST_KEYS.orders;
+    }
+
+    const sortKey = query.keyAttributes[2];
+
+    if (filters.created) {
+        const { start, end } = createdBounds(filters.created);
+        const expression = rangeExpression('createdAt', start, end, ':createdStart', ':createdEnd');
+        if (sortKey === 'createdAt') {
+            query.KeyConditionExpression += ` AND ${expression}`;
+        } else {
+            conditions.push(expression);
+        }
+        if (start !== null) {
+            values[':createdStart'] = start;
+        }
+        if (end !== null) {
+            values[':createdEnd'] = end;
+        }
+    }
+
+    if (filters.delivery) {
+        const { from, to } = filters.delivery;
+        // '#' sorts before digits and '~' after them, so these bound whole IST days
+        const expression = rangeExpression('deliveryKey', from, to, ':deliveryStart', ':deliveryEnd');
+        if (sortKey === 'deliveryKey') {
+            query.KeyConditionExpression += ` AND ${expression}`;
+        } else {
+            conditions.push(expression);
+        }
+        if (from !== null) {
+            values[':deliveryStart'] = `${from}#`;
+        }
+        if (to !== null) {
+            values[':deliveryEnd'] = `${to}#~`;
+        }
+    }
+
+    if (statuses) {
+        names['#status'] = 'status';
+        statuses.forEach((value, i) => {
+            values[`:status${i}`] = value;
+        });
+        if (query.IndexName !== 'status-createdAt-index') {
+            conditions.push(`#status IN (${statuses.map((_, i) => `:status${i}`).join(', ')})`);
+        }
+    }
+
+    if (riderId) {
+        values[':riderId'] = riderId;
+        if (query.IndexName !== 'riderId-createdAt-index') {
+            conditions.push('riderId = :riderId');
+        }
+    }
+
+    if (filters.mealSlot) {
+        conditions.push('mealSlot = :mealSlot');
+        values[':mealSlot'] = filters.mealSlot;
+    }
+
+    if (filters.minAmount !== null && filters.minAmount !== undefined) {
+        conditions.push('totalAmount >= :minAmount');
+        values[':minAmount'] = filters.minAmount;
+    }
+
+    if (filters.maxAmount !== null && filters.maxAmount !== undefined) {
+        conditions.push('totalAmount <= :maxAmount');
+        values[':maxAmount'] = filters.maxAmount;
+    }
+
+    if (filters.paymentMethod) {
+        conditions.push('paymentMethod = :paymentMethod');
+        values[':paymentMethod'] = filters.paymentMethod;
+    }
+
+    if (filters.item) {
+        conditions.push('contains(itemSearch, :item)');
+        values[':item'] = filters.item;
+    }
+
+    if (filters.text) {
+        conditions.push('contains(searchText, :text)');
+        values[':text'] = filters.text;
+    }
+
+    const { keyAttributes, ...rest } = query;
+    return {
+        keyAttributes,
+        query: {
+            TableName: ORDERS_TABLE,
+            ...rest,
+            ...(conditions.length > 0 && { FilterExpression: conditions.join(' AND ') }),
+            ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+            ExpressionAttributeValues: values
+        }
+    };
+};
+
+module.exports = {
+    buildSearchFields,
+    parseOrderFilters,
+    buildOrderListQuery
+};
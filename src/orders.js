@@ -1,4 +1,31 @@
 const AWS = require('aws-sdk');
+const { ROLES, isAdmin } = require('./authMiddleware');
+const { resolveOrderAddress } = require('./addresses');
+const { priceOrder, applyDiscount, assertExpectedTotal } = require('./pricing');
+const { isPaidOrder, createRefundRecord } = require('./refunds');
+const { putWithUniqueId, nextOrderNumber, displayOrderNumber } = require('./ids');
+const { resolveDeliverySlot } = require('./orderSchedule');
+const {
+    evaluateCoupon,
+    buildRedemptionItems,
+    describeRedemptionFailure,
+    releaseCouponRedemption
+} = require('./coupons');
+const { resolvePaymentMethod, initialPaymentState } = require('./payments');
+const { LIST_KEYS, parseLimit, queryPage } = require('./pagination');
+const { buildSearchFields, parseOrderFilters, buildOrderListQuery } = require('./orderSearch');
+const { getIstDateString } = require('./ist');
+const {
+    ORDER_STATUSES,
+    RIDER_BUSY_STATUSES,
+    normalizeStatus,
+    getStoredStatuses,
+    buildHistoryEntry,
+    transitionOrder,
+    assignOrderRider,
+    syncRiderWithOrder,
+    buildTimeline
+} = require('./orderLifecycle');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -8,69 +35,71 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 });
 
 const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
 
-// Valid order statuses
-const ORDER_STATUSES = ['placed', 'inProgress', 'delivered', 'cancelled'];
+// Set REQUIRE_VERIFIED_PHONE=true to only accept orders from OTP-verified customers
+const REQUIRE_VERIFIED_PHONE = process.env.REQUIRE_VERIFIED_PHONE === 'true';
 
 /**
- * Get all orders
- * @route GET /api/orders
+ * Check whether the authenticated caller may see/act on an order
+ * Admins see everything, riders their assigned orders, customers their own orders
  */
-const getAllOrders = async (req, res) => {
-    try {
-        const { limit = 100, status, phone } = req.query;
-
-        let params = {
-            TableName: ORDERS_TABLE,
-            Limit: parseInt(limit)
-        };
-
-        const filterExpressions = [];
-        const expressionAttributeNames = {};
-        const expressionAttributeValues = {};
-
-        if (status && ORDER_STATUSES.includes(status)) {
-            filterExpressions.push('#status = :status');
-            expressionAttributeNames['#status'] = 'status';
-            expressionAttributeValues[':status'] = status;
-        }
-
-        if (phone) {
-            filterExpressions.push('customer.phone = :phone');
-            expressionAttributeValues[':phone'] = phone;
-        }
+const canAccessOrder = (user, order) => {
+    if (isAdmin(user)) {
+        return true;
+    }
 
-        if (req.query.riderId) {
-            filterExpressions.push('riderId = :riderId');
-            expressionAttributeValues[':riderId'] = req.query.riderId;
-        }
+    if (user.role === ROLES.RIDER) {
+        return !!order.riderId && order.riderId === user.riderId;
+    }
 
-        if (filterExpressions.length > 0) {
-            params.FilterExpression = filterExpressions.join(' AND ');
-            if (Object.keys(expressionAttributeNames).length > 0) {
-                params.ExpressionAttributeNames = expressionAttributeNames;
-            }
-            params.ExpressionAttributeValues = expressionAttributeValues;
-        }
+    return !!order.customer && order.customer.phone === user.phone;
+};
 
-        const result = await dynamoDB.scan(params).promise();
+/**
+ * Get all orders, newest first (newest delivery first when filtering by delivery date)
+ * Query: status?, phone?, riderId? (admins), limit? (default 100, max 200), cursor? (nextCursor of the previous page)
+ * Search: createdFrom?, createdTo?, deliveryFrom?, deliveryTo? (IST dates, inclusive), mealSlot?,
+ *   minAmount?, maxAmount?, paymentMethod?, item? (item id or name), q? (customer name or address)
+ * @route GET /api/orders
+ */
+const getAllOrders = async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const status = normalizeStatus(req.query.status);
+
+        // Riders and customers are always scoped to their own orders
+        const phone = req.user.role === ROLES.CUSTOMER ? req.user.phone : req.query.phone;
+        const riderId = req.user.role === ROLES.RIDER ? req.user.riderId : req.query.riderId;
+
+        const { query, keyAttributes } = buildOrderListQuery({
+            statuses: status && ORDER_STATUSES.includes(status) ? getStoredStatuses(status) : null,
+            phone,
+            riderId,
+            ...parseOrderFilters(req.query)
+        });
 
-        // Sort by createdAt descending
-        const sortedItems = (result.Items || []).sort((a, b) =>
-            new Date(b.createdAt) - new Date(a.createdAt)
-        );
+        const { items, nextCursor } = await queryPage({ query, keyAttributes, limit, cursor: req.query.cursor });
 
         res.status(200).json({
             success: true,
             message: 'Orders fetched successfully',
             data: {
-                orders: sortedItems,
-                count: result.Count || 0,
+                orders: items,
+                count: items.length,
+                nextCursor,
                 statuses: ORDER_STATUSES
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get all orders error:', error);
         res.status(500).json({
             success: false,
@@ -81,12 +110,14 @@ const getAllOrders = async (req, res) => {
 };
 
 /**
- * Get orders by status
+ * Get orders by status, newest first
+ * Query: limit? (default 100, max 200), cursor?
  * @route GET /api/orders/status/:status
  */
 const getOrdersByStatus = async (req, res) => {
     try {
-        const { status } = req.params;
+        // Old clients may still ask for 'inProgress'
+        const status = normalizeStatus(req.params.status);
 
         if (!ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
@@ -95,31 +126,32 @@ const getOrdersByStatus = async (req, res) => {
             });
         }
 
-        const params = {
-            TableName: ORDERS_TABLE,
-            FilterExpression: '#status = :status',
-            ExpressionAttributeNames: { '#status': 'status' },
-            ExpressionAttributeValues: { ':status': status }
-        };
+        const limit = parseLimit(req.query.limit);
 
-        const result = await dynamoDB.scan(params).promise();
+        // Include legacy records stored under an older status name
+        const { query, keyAttributes } = buildOrderListQuery({ statuses: getStoredStatuses(status) });
 
-        // Sort by createdAt descending
-        const sortedItems = (result.Items || []).sort((a, b) =>
-            new Date(b.createdAt) - new Date(a.createdAt)
-        );
+        const { items, nextCursor } = await queryPage({ query, keyAttributes, limit, cursor: req.query.cursor });
 
         res.status(200).json({
             success: true,
             message: `${status} orders fetched successfully`,
             data: {
                 status,
-                orders: sortedItems,
-                count: result.Count || 0
+                orders: items,
+                count: items.length,
+                nextCursor
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get orders by status error:', error);
         res.status(500).json({
             success: false,
@@ -144,17 +176,24 @@ const getOrderById = async (req, res) => {
 
         const result = await dynamoDB.get(params).promise();
 
-        if (!result.Item) {
+        // Hide orders the caller doesn't own behind the same 404
+        if (!result.Item || !canAccessOrder(req.user, result.Item)) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
+        // statusHistory is returned as the timeline (actor details are for admins only)
+        const { statusHistory, ...order } = result.Item;
+
         res.status(200).json({
             success: true,
             message: 'Order fetched successfully',
-            data: result.Item
+            data: {
+                ...order,
+                timeline: buildTimeline(result.Item, req.user)
+            }
         });
 
     } catch (error) {
@@ -167,8 +206,127 @@ const getOrderById = async (req, res) => {
     }
 };
 
+/**
+ * Refuse new orders from a customer whose account is scheduled for deletion
+ * (the purge waits for every order to be final, and anonymizes them all)
+ * @throws {Error} 409 while a deletion request is pending
+ */
+const assertNoPendingDeletion = async (phone) => {
+    const result = await dynamoDB.get({
+        TableName: USERS_TABLE,
+        Key: { phone },
+        ProjectionExpression: 'deletionScheduledFor'
+    }).promise();
+
+    if (result.Item && result.Item.deletionScheduledFor) {
+        const error = new Error('This account is scheduled for deletion. Cancel the deletion request to place orders.');
+        error.status = 409;
+        throw error;
+    }
+};
+
+/**
+ * Store a new order from already priced lines
+ * Shared by the create endpoint and subscription order generation.
+ * @param {Object} params
+ * @param {Object} params.priced - result of priceOrder
+ * @param {Object} params.customer - { name, phone, email, address }
+ * @param {Object} [params.deliveryAddress] - saved-address snapshot
+ * @param {Object} [params.slot] - result of resolveDeliverySlot (null for ASAP orders)
+ * @param {Object} params.user - req.user of the caller (null for system jobs)
+ * @param {Object} [params.coupon] - coupon from evaluateCoupon; its redemption is recorded in the same write
+ * @param {Object} [params.extra] - additional attributes, e.g. subscriptionId
+ * @returns {Promise<Object>} the stored order
+ * @throws {Error} 409 when the customer's account is scheduled for deletion
+ */
+const placeOrder = async ({
+    priced,
+    customer,
+    deliveryAddress = null,
+    slot = null,
+    paymentMethod,
+    deliveryInfo,
+    notes,
+    user,
+    coupon = null,
+    extra = {}
+}) => {
+    await assertNoPendingDeletion(customer.phone);
+
+    const status = slot && slot.scheduled ? 'scheduled' : 'placed';
+
+    // Daily number the kitchen and riders call the order by (numbered on the delivery day)
+    const orderNumber = await nextOrderNumber(slot ? new Date(slot.slotStartsAt) : new Date());
+    const now = new Date().toISOString();
+
+    try {
+        return await putWithUniqueId({
+            TableName: ORDERS_TABLE,
+            prefix: 'ORD',
+            transactItems: coupon ? (order) => buildRedemptionItems(coupon, customer.phone, order) : null,
+            build: (id) => ({
+                id,
+                listKey: LIST_KEYS.orders,
+                orderNumber,
+                items: priced.items,
+                customer,
+                customerPhone: customer.phone,
+                deliveryAddress,
+                status,
+                statusHistory: [buildHistoryEntry({ from: null, to: status, user, at: now })],
+                // riderId keys the rider order index, so it is only written once a rider is assigned
+                riderName: null,
+                pricing: priced.pricing,
+                totalAmount: priced.pricing.total,
+                paymentMethod: paymentMethod || 'Cash',
+                ...initialPaymentState(paymentMethod || 'Cash', new Date(now)),
+                deliveryInfo: slot
+                    ? { date: slot.deliveryDate, time: slot.mealSlot, isToday: slot.deliveryDate === getIstDateString() }
+                    : deliveryInfo || {
+                        date: new Date().toLocaleDateString(),
+                        time: 'ASAP',
+                        isToday: true
+                    },
+                ...(slot && {
+                    deliveryDate: slot.deliveryDate,
+                    mealSlot: slot.mealSlot,
+                    slotStartsAt: slot.slotStartsAt,
+                    releaseAt: slot.releaseAt
+                }),
+                ...(coupon && {
+                    coupon: {
+                        code: coupon.code,
+                        discountType: coupon.discountType,
+                        discountValue: coupon.discountValue,
+                        discount: priced.pricing.discount
+                    }
+                }),
+                ...buildSearchFields({
+                    deliveryDate: slot ? slot.deliveryDate : null,
+                    mealSlot: slot ? slot.mealSlot : null,
+                    createdAt: now,
+                    customer,
+                    items: priced.items
+                }),
+                ...extra,
+                notes: notes || '',
+                createdAt: now,
+                updatedAt: now,
+                deliveredAt: null
+            })
+        });
+    } catch (error) {
+        throw describeRedemptionFailure(error);
+    }
+};
+
 /**
  * Create new order
+ * Retries with the same Idempotency-Key header replay the first response (see idempotency.js).
+ * Pre-orders pass deliveryDate (IST, YYYY-MM-DD) and mealSlot; without them the order is for now (ASAP).
+ * An optional couponCode is validated and redeemed together with the order (see coupons.js).
+ * Online payment methods leave the order awaiting payment; the app then starts it with
+ * POST /api/orders/:id/payment (see payments.js).
  * @route POST /api/orders
  */
 const createOrder = async (req, res) => {
@@ -179,11 +337,15 @@ const createOrder = async (req, res) => {
             totalAmount,
             paymentMethod,
             deliveryAddress,
+            addressId,
             deliveryInfo,
+            deliveryDate,
+            mealSlot,
+            couponCode,
             notes
-        } = req.body;
+        } = req.body || {};
 
-        // Validation
+        // Validation (totalAmount is the total the customer was shown; the server prices the order)
         if (!items || !customer || !totalAmount) {
             return res.status(400).json({
                 success: false,
@@ -191,47 +353,77 @@ const createOrder = async (req, res) => {
             });
         }
 
-        if (!customer.name || !customer.phone) {
+        // Customers can only place orders for their own account
+        const customerPhone = req.user.role === ROLES.CUSTOMER ? req.user.phone : customer.phone;
+
+        if (!customer.name || !customerPhone) {
             return res.status(400).json({
                 success: false,
                 message: 'Customer name and phone are required'
             });
         }
 
-        // Generate unique ID
-        const id = `ORD${Date.now()}`;
+        if (REQUIRE_VERIFIED_PHONE && req.user.role === ROLES.CUSTOMER) {
+            const userResult = await dynamoDB.get({
+                TableName: USERS_TABLE,
+                Key: { phone: customerPhone }
+            }).promise();
+
+            if (!userResult.Item || !userResult.Item.isVerified) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Please verify your phone number before placing an order'
+                });
+            }
+        }
+
+        // A saved address is copied onto the order so later address-book edits don't rewrite history
+        let addressSnapshot = null;
+        if (addressId) {
+            addressSnapshot = await resolveOrderAddress(customerPhone, addressId);
+            if (!addressSnapshot) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Delivery address not found'
+                });
+            }
+        }
 
-        const order = {
-            id,
-            items: items || [],
+        const method = resolvePaymentMethod(paymentMethod);
+
+        // Prices come from the catalog, never from the client
+        let priced = await priceOrder(items);
+
+        let coupon = null;
+        if (couponCode) {
+            const evaluated = await evaluateCoupon(couponCode, customerPhone, priced);
+            coupon = evaluated.coupon;
+            priced = applyDiscount(priced, evaluated.discount);
+        }
+
+        assertExpectedTotal(totalAmount, priced);
+
+        // Pre-orders for a later slot wait as 'scheduled' until released to the kitchen
+        const slot = deliveryDate || mealSlot
+            ? resolveDeliverySlot({ deliveryDate, mealSlot, items: priced.items })
+            : null;
+
+        const order = await placeOrder({
+            priced,
             customer: {
                 name: customer.name,
-                phone: customer.phone,
+                phone: customerPhone,
                 email: customer.email || '',
-                address: customer.address || deliveryAddress || ''
+                address: addressSnapshot ? addressSnapshot.formatted : (customer.address || deliveryAddress || '')
             },
-            status: 'placed',
-            riderId: null,
-            riderName: null,
-            totalAmount: parseFloat(totalAmount),
-            paymentMethod: paymentMethod || 'Cash',
-            deliveryInfo: deliveryInfo || {
-                date: new Date().toLocaleDateString(),
-                time: 'ASAP',
-                isToday: true
-            },
-            notes: notes || '',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            deliveredAt: null
-        };
-
-        const params = {
-            TableName: ORDERS_TABLE,
-            Item: order
-        };
-
-        await dynamoDB.put(params).promise();
+            deliveryAddress: addressSnapshot,
+            slot,
+            paymentMethod: method,
+            deliveryInfo,
+            notes,
+            user: req.user,
+            coupon
+        });
 
         res.status(201).json({
             success: true,
@@ -240,6 +432,14 @@ const createOrder = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.data && { data: error.data })
+            });
+        }
+
         console.error('Create order error:', error);
         res.status(500).json({
             success: false,
@@ -249,14 +449,56 @@ const createOrder = async (req, res) => {
     }
 };
 
+/**
+ * Price a cart without placing the order, so the app can show the server's total
+ * Body: { items, couponCode?, customerPhone? (admins ordering for a customer) }
+ * @route POST /api/orders/quote
+ */
+const quoteOrder = async (req, res) => {
+    try {
+        const { items, couponCode, customerPhone } = req.body || {};
+        let priced = await priceOrder(items);
+
+        if (couponCode) {
+            const phone = req.user.role === ROLES.CUSTOMER ? req.user.phone : customerPhone;
+            const { discount } = await evaluateCoupon(couponCode, phone, priced);
+            priced = applyDiscount(priced, discount);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: priced
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.data && { data: error.data })
+            });
+        }
+
+        console.error('Quote order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to price order',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
 /**
  * Update order status
+ * Only transitions in the order state machine are allowed (see orderLifecycle.js);
+ * cancelling requires a reason.
  * @route PATCH /api/orders/:id/status
  */
 const updateOrderStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
+        const { reason } = req.body;
+        const status = normalizeStatus(req.body.status);
 
         if (!ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
@@ -265,6 +507,13 @@ const updateOrderStatus = async (req, res) => {
             });
         }
 
+        if (status === 'cancelled' && !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to cancel an order'
+            });
+        }
+
         // Check if order exists
         const getParams = {
             TableName: ORDERS_TABLE,
@@ -273,43 +522,50 @@ const updateOrderStatus = async (req, res) => {
 
         const existing = await dynamoDB.get(getParams).promise();
 
-        if (!existing.Item) {
+        if (!existing.Item || !canAccessOrder(req.user, existing.Item)) {
             return res.status(404).json({
                 success: false,
                 message: 'Order not found'
             });
         }
 
-        let updateExpression = 'SET #status = :status, updatedAt = :updatedAt';
-        const expressionAttributeValues = {
-            ':status': status,
-            ':updatedAt': new Date().toISOString()
-        };
+        const prepaidCancellation = status === 'cancelled' && isPaidOrder(existing.Item);
+
+        const order = await transitionOrder({
+            order: existing.Item,
+            to: status,
+            user: req.user,
+            reason,
+            set: status === 'cancelled' ? {
+                cancellation: { by: 'staff', reasonCode: 'cancelled_by_staff', note: reason },
+                ...(prepaidCancellation && { refundId: `RFD-${id}` })
+            } : {}
+        });
 
-        // If delivered, add deliveredAt timestamp
-        if (status === 'delivered') {
-            updateExpression += ', deliveredAt = :deliveredAt';
-            expressionAttributeValues[':deliveredAt'] = new Date().toISOString();
-        }
+        await syncRiderWithOrder(order);
 
-        const params = {
-            TableName: ORDERS_TABLE,
-            Key: { id },
-            UpdateExpression: updateExpression,
-            ExpressionAttributeNames: { '#status': 'status' },
-            ExpressionAttributeValues: expressionAttributeValues,
-            ReturnValues: 'ALL_NEW'
-        };
+        if (status === 'cancelled') {
+            await releaseCouponRedemption(order);
+        }
 
-        const result = await dynamoDB.update(params).promise();
+        if (prepaidCancellation) {
+            await createRefundRecord(order, { reasonCode: 'cancelled_by_staff', requestedBy: req.user.email });
+        }
 
         res.status(200).json({
             success: true,
             message: `Order status updated to ${status}`,
-            data: result.Attributes
+            data: order
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Update order status error:', error);
         res.status(500).json({
             success: false,
@@ -321,10 +577,7 @@ const updateOrderStatus = async (req, res) => {
 
 /**
  * Assign rider to order
- * @route PATCH /api/orders/:id/assign
- */
-/**
- * Assign rider to order
+ * Only open (placed / inProgress) orders can be assigned.
  * @route PATCH /api/orders/:id/assign
  */
 const assignRider = async (req, res) => {
@@ -355,22 +608,12 @@ const assignRider = async (req, res) => {
         }
 
         // 1. Update Order
-        const params = {
-            TableName: ORDERS_TABLE,
-            Key: { id },
-            UpdateExpression: 'SET riderId = :riderId, riderName = :riderName, #status = :status, updatedAt = :updatedAt',
-            ExpressionAttributeNames: { '#status': 'status' },
-            ExpressionAttributeValues: {
-                ':riderId': riderId,
-                ':riderName': riderName || 'Assigned Rider',
-                ':status': 'inProgress',
-                ':updatedAt': new Date().toISOString()
-            },
-            ReturnValues: 'ALL_NEW'
-        };
-
-        const result = await dynamoDB.update(params).promise();
-        const order = result.Attributes;
+        const order = await assignOrderRider({
+            order: existing.Item,
+            riderId,
+            riderName: riderName || 'Assigned Rider',
+            user: req.user
+        });
 
         // 2. Fetch Rider to get FCM Token & Send Notification
         console.log('=== NOTIFICATION FLOW START ===');
@@ -398,7 +641,7 @@ const assignRider = async (req, res) => {
                     const notifResult = await sendNotificationToRider(
                         rider.fcmToken,
                         'New Order Assigned! 📦',
-                        `Order #${id.slice(-6)} is ready for pickup.`,
+                        `Order ${displayOrderNumber(order)} is ready for pickup.`,
                         { orderId: id, riderName: riderName, type: 'order_assigned' }
                     );
                     console.log(`✅ Notification result:`, notifResult ? `Sent - ${notifResult}` : 'Failed');
@@ -421,6 +664,13 @@ const assignRider = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Assign rider error:', error);
         res.status(500).json({
             success: false,
@@ -447,12 +697,16 @@ const getOrderStats = async (req, res) => {
         const today = new Date().toISOString().split('T')[0];
         const todayOrders = orders.filter(o => o.createdAt && o.createdAt.startsWith(today));
 
+        const byStatus = {};
+        ORDER_STATUSES.forEach((status) => {
+            byStatus[status] = orders.filter(o => normalizeStatus(o.status) === status).length;
+        });
+
         const stats = {
             total: orders.length,
-            placed: orders.filter(o => o.status === 'placed').length,
-            inProgress: orders.filter(o => o.status === 'inProgress').length,
-            delivered: orders.filter(o => o.status === 'delivered').length,
-            cancelled: orders.filter(o => o.status === 'cancelled').length,
+            ...byStatus,
+            // Kept for older dashboards: orders currently with a rider
+            inProgress: RIDER_BUSY_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
             todayCount: todayOrders.length,
             todayRevenue: todayOrders
                 .filter(o => o.status === 'delivered')
@@ -478,7 +732,9 @@ module.exports = {
     getAllOrders,
     getOrdersByStatus,
     getOrderById,
+    placeOrder,
     createOrder,
+    quoteOrder,
     updateOrderStatus,
     assignRider,
     getOrderStats
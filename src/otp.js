@@ -0,0 +1,160 @@
+const AWS = require('aws-sdk');
+const { requestOtpQuietly, verifyOtp } = require('./otpService');
+const { RIDERS_TABLE, findRiderByPhone } = require('./riderAccounts');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+
+const ACCOUNT_TYPES = ['user', 'rider'];
+
+/**
+ * Validate phone/accountType from the request body
+ * @returns {string|null} error message
+ */
+const validateTarget = ({ phone, accountType }) => {
+    if (!phone || !/^\d{10}$/.test(phone)) {
+        return 'Phone number must be exactly 10 digits';
+    }
+    if (!ACCOUNT_TYPES.includes(accountType)) {
+        return 'Invalid account type. Valid: ' + ACCOUNT_TYPES.join(', ');
+    }
+    return null;
+};
+
+/**
+ * Load the customer record or rider profile behind a phone number
+ */
+const findAccount = async (phone, accountType) => {
+    if (accountType === 'rider') {
+        const rider = await findRiderByPhone(phone);
+        return rider && rider.isActive ? rider : null;
+    }
+
+    const result = await dynamoDB.get({
+        TableName: USERS_TABLE,
+        Key: { phone }
+    }).promise();
+
+    return result.Item && result.Item.role === 'user' ? result.Item : null;
+};
+
+/**
+ * Relay errors thrown by otpService (they carry an HTTP status)
+ */
+const sendOtpError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+            ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+};
+
+/**
+ * Send a phone verification code
+ * @route POST /api/auth/otp/request
+ */
+const requestPhoneOtp = async (req, res) => {
+    try {
+        const { phone, accountType = 'user' } = req.body || {};
+
+        const validationError = validateTarget({ phone, accountType });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const account = await findAccount(phone, accountType);
+
+        // Same response whether the account is missing, already verified or on cooldown,
+        // to avoid leaking registered numbers
+        const delivery = await requestOtpQuietly(
+            { phone, accountType, purpose: 'verify_phone' },
+            Boolean(account && !account.isVerified)
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'If an unverified account exists for this number, a verification code has been sent',
+            data: delivery
+        });
+
+    } catch (error) {
+        sendOtpError(res, error, 'Failed to send verification code');
+    }
+};
+
+/**
+ * Verify a phone verification code and mark the account verified
+ * @route POST /api/auth/otp/verify
+ */
+const verifyPhoneOtp = async (req, res) => {
+    try {
+        const { phone, accountType = 'user', code } = req.body || {};
+
+        const validationError = validateTarget({ phone, accountType });
+        if (validationError || !code) {
+            return res.status(400).json({
+                success: false,
+                message: validationError || 'Verification code is required'
+            });
+        }
+
+        const account = await findAccount(phone, accountType);
+
+        if (!account) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code has expired or was not requested'
+            });
+        }
+
+        await verifyOtp({ phone, accountType, purpose: 'verify_phone' }, code);
+
+        const now = new Date().toISOString();
+
+        await dynamoDB.update({
+            TableName: accountType === 'rider' ? RIDERS_TABLE : USERS_TABLE,
+            Key: accountType === 'rider' ? { id: account.id } : { phone },
+            UpdateExpression: 'SET isVerified = :isVerified, verifiedAt = :now, updatedAt = :now',
+            ExpressionAttributeValues: {
+                ':isVerified': true,
+                ':now': now
+            }
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number verified successfully',
+            data: { phone, accountType, isVerified: true, verifiedAt: now }
+        });
+
+    } catch (error) {
+        sendOtpError(res, error, 'Failed to verify code');
+    }
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    validateTarget,
+    requestPhoneOtp,
+    verifyPhoneOtp,
+    sendOtpError
+};
@@ -0,0 +1,221 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { sendSms } = require('./smsService');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const OTP_TABLE = process.env.DYNAMODB_OTP_TABLE || 'satvamirtham-otps';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS) || 300;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Message templates per purpose
+const OTP_MESSAGES = {
+    verify_phone: (code) => `${code} is your Satvamirtham verification code. It expires in ${Math.round(OTP_TTL_SECONDS / 60)} minutes.`,
+    reset_password: (code) => `${code} is your Satvamirtham password reset code. Do not share it with anyone.`
+};
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const otpError = (message, status = 400, extra = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+};
+
+const otpKey = ({ phone, accountType, purpose }) => `${purpose}#${accountType}#${phone}`;
+
+// Codes are stored as keyed hashes, never in clear text
+const hashCode = (key, code) => {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${key}:${code}`).digest('hex');
+};
+
+const generateCode = () => {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Generate, store and send a one-time code
+ * Enforces the resend cooldown per phone/accountType/purpose.
+ * @param {Object} target - { phone, accountType: 'user'|'rider', purpose }
+ * @returns {Promise<{expiresIn: number, resendAfter: number}>}
+ */
+const requestOtp = async (target) => {
+    const id = otpKey(target);
+    const now = Date.now();
+
+    const existing = await dynamoDB.get({
+        TableName: OTP_TABLE,
+        Key: { id }
+    }).promise();
+
+    if (existing.Item) {
+        const nextAllowed = new Date(existing.Item.lastSentAt).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+        if (nextAllowed > now) {
+            throw otpError('Please wait before requesting another code', 429, {
+                retryAfter: Math.ceil((nextAllowed - now) / 1000)
+            });
+        }
+    }
+
+    const code = generateCode();
+    const expiresAt = now + OTP_TTL_SECONDS * 1000;
+
+    await dynamoDB.put({
+        TableName: OTP_TABLE,
+        Item: {
+            id,
+            phone: target.phone,
+            accountType: target.accountType,
+            purpose: target.purpose,
+            codeHash: hashCode(id, code),
+            attempts: 0,
+            lastSentAt: new Date(now).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString(),
+            ttl: Math.floor(expiresAt / 1000) // DynamoDB TTL attribute
+        }
+    }).promise();
+
+    const template = OTP_MESSAGES[target.purpose] || OTP_MESSAGES.verify_phone;
+    await sendSms(target.phone, template(code));
+
+    return {
+        expiresIn: OTP_TTL_SECONDS,
+        resendAfter: OTP_RESEND_COOLDOWN_SECONDS
+    };
+};
+
+/**
+ * Send a code only when `shouldSend` (the account exists and qualifies), answering the same either way
+ * Cooldowns and send failures are logged, not returned, so the response never reveals whether
+ * a number is registered.
+ * @param {Object} target - { phone, accountType, purpose }
+ * @param {boolean} shouldSend
+ * @returns {Promise<{expiresIn: number, resendAfter: number}>}
+ */
+const requestOtpQuietly = async (target, shouldSend) => {
+    if (shouldSend) {
+        try {
+            await requestOtp(target);
+        } catch (error) {
+            if (error.status !== 429) {
+                console.error(`OTP request (${target.purpose}) error:`, error);
+            }
+        }
+    }
+
+    return {
+        expiresIn: OTP_TTL_SECONDS,
+        resendAfter: OTP_RESEND_COOLDOWN_SECONDS
+    };
+};
+
+/**
+ * Outstanding codes of a phone/accountType, one per purpose, without their hashes
+ */
+const listOtpRecords = async ({ phone, accountType }) => {
+    const results = await Promise.all(Object.keys(OTP_MESSAGES).map(purpose => dynamoDB.get({
+        TableName: OTP_TABLE,
+        Key: { id: otpKey({ phone, accountType, purpose }) }
+    }).promise()));
+
+    return results
+        .filter(result => result.Item)
+        .map(({ Item: { codeHash, ...record } }) => record);
+};
+
+/**
+ * Delete every outstanding code of a phone/accountType
+ */
+const deleteOtpRecords = async ({ phone, accountType }) => {
+    await Promise.all(Object.keys(OTP_MESSAGES).map(purpose => dynamoDB.delete({
+        TableName: OTP_TABLE,
+        Key: { id: otpKey({ phone, accountType, purpose }) }
+    }).promise()));
+};
+
+/**
+ * Check a code; codes are single use and locked after OTP_MAX_ATTEMPTS wrong guesses
+ * Throws an error with `status` when the code is wrong, expired or exhausted.
+ * @param {Object} target - { phone, accountType, purpose }
+ * @param {string} code
+ */
+const verifyOtp = async (target, code) => {
+    const id = otpKey(target);
+
+    const result = await dynamoDB.get({
+        TableName: OTP_TABLE,
+        Key: { id }
+    }).promise();
+
+    const record = result.Item;
+
+    // TTL deletion is lazy, so check expiry explicitly
+    if (!record || new Date(record.expiresAt) <= new Date()) {
+        throw otpError('Code has expired or was not requested');
+    }
+
+    if (record.attempts >= OTP_MAX_ATTEMPTS) {
+        throw otpError('Too many incorrect attempts. Please request a new code.', 429);
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(id, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        // Conditional increment so parallel guesses can't exceed the limit
+        try {
+            await dynamoDB.update({
+                TableName: OTP_TABLE,
+                Key: { id },
+                UpdateExpression: 'SET attempts = attempts + :one',
+                ConditionExpression: 'attempts < :max',
+                ExpressionAttributeValues: { ':one': 1, ':max': OTP_MAX_ATTEMPTS }
+            }).promise();
+        } catch (error) {
+            if (error.code !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+        }
+
+        throw otpError('Invalid code', 400, {
+            attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - record.attempts - 1, 0)
+        });
+    }
+
+    // Consume the code; the condition makes a concurrent second use fail
+    try {
+        await dynamoDB.delete({
+            TableName: OTP_TABLE,
+            Key: { id },
+            ConditionExpression: 'codeHash = :hash',
+            ExpressionAttributeValues: { ':hash': record.codeHash }
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            throw otpError('Code has expired or was not requested');
+        }
+        throw error;
+    }
+
+    return true;
+};
+
+module.exports = {
+    OTP_MESSAGES,
+    requestOtp,
+    requestOtpQuietly,
+    verifyOtp,
+    listOtpRecords,
+    deleteOtpRecords
+};
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { putWithUniqueId } = require('./ids');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -182,30 +183,24 @@ const createPackage = async (req, res) => {
             });
         }
 
-        // Generate unique ID
-        const id = `PKG${Date.now()}`;
-
-        const packageItem = {
-            id,
-            type: 'package',
-            name,
-            description: description || '',
-            price: parseFloat(price),
-            day,
-            mealType,
-            items: items || [],
-            image: image || 'https://via.placeholder.com/400',
-            isActive: true,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        const params = {
+        const packageItem = await putWithUniqueId({
             TableName: MENU_TABLE,
-            Item: packageItem
-        };
-
-        await dynamoDB.put(params).promise();
+            prefix: 'PKG',
+            build: (id) => ({
+                id,
+                type: 'package',
+                name,
+                description: description || '',
+                price: parseFloat(price),
+                day,
+                mealType,
+                items: items || [],
+                image: image || 'https://via.placeholder.com/400',
+                isActive: true,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            })
+        });
 
         res.status(201).json({
             success: true,
@@ -0,0 +1,127 @@
+const AWS = require('aws-sdk');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+// Reads at least this many items per query, so sparse filters need fewer round trips
+const MIN_READ_SIZE = 50;
+
+// Queries one page may make; a sparse filter then returns a partial (even empty) page and a cursor
+const MAX_READS_PER_PAGE = parseInt(process.env.PAGINATION_MAX_READS) || 10;
+
+// Partition value shared by every item of a newest-first listing index (see scripts/backfill-list-indexes.js)
+const LIST_KEYS = {
+    orders: 'order',
+    refunds: 'refund'
+};
+
+const paginationError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Page size from a query string value
+ * @throws {Error} 400 when it isn't a positive whole number
+ */
+const parseLimit = (value, defaultLimit = DEFAULT_PAGE_SIZE) => {
+    if (value === undefined || value === '') {
+        return defaultLimit;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw paginationError('limit must be a positive whole number');
+    }
+    return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+/**
+ * Opaque cursor for the next page: the index it belongs to and the key to resume after
+ */
+const encodeCursor = (indexName, key) => {
+    return Buffer.from(JSON.stringify({ i: indexName, k: key })).toString('base64url');
+};
+
+/**
+ * Start key from a cursor; a cursor only works on the listing (index) that issued it
+ * @throws {Error} 400 for a malformed or foreign cursor
+ */
+const decodeCursor = (cursor, indexName) => {
+    if (!cursor) {
+        return undefined;
+    }
+
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw paginationError('Invalid cursor');
+    }
+
+    if (!decoded || decoded.i !== indexName || !decoded.k || typeof decoded.k !== 'object') {
+        throw paginationError('Invalid cursor');
+    }
+    return decoded.k;
+};
+
+/**
+ * One page of a newest-first index query, filled up to `limit` matches after filtering
+ * DynamoDB applies Limit before FilterExpression, so this keeps reading until the page is full,
+ * the index is exhausted or MAX_READS_PER_PAGE queries were made. The cursor is built from the
+ * last returned item, so nothing is skipped when a read returns more matches than the page needs;
+ * a page cut short by the read budget resumes after the last item read. Callers should keep
+ * following nextCursor: a short page does not mean the listing is done.
+ * @param {Object} params
+ * @param {Object} params.query - DocumentClient query params (TableName, IndexName, KeyConditionExpression, filters;
+ *   ScanIndexForward: true for oldest first)
+ * @param {string[]} params.keyAttributes - table and index key attributes, e.g. ['id', 'status', 'createdAt']
+ * @param {number} params.limit - page size
+ * @param {string} [params.cursor] - nextCursor of the previous page
+ * @returns {Promise<{items: Array<Object>, nextCursor: string|null}>}
+ */
+const queryPage = async ({ query, keyAttributes, limit, cursor }) => {
+    const items = [];
+    let startKey = decodeCursor(cursor, query.IndexName);
+    let reads = 0;
+
+    do {
+        const result = await dynamoDB.query({
+            ScanIndexForward: false,
+            ...query,
+            Limit: Math.max(limit - items.length, MIN_READ_SIZE),
+            ExclusiveStartKey: startKey
+        }).promise();
+
+        for (const item of result.Items || []) {
+            items.push(item);
+            if (items.length === limit) {
+                const key = {};
+                keyAttributes.forEach((attr) => {
+                    key[attr] = item[attr];
+                });
+                return { items, nextCursor: encodeCursor(query.IndexName, key) };
+            }
+        }
+
+        startKey = result.LastEvaluatedKey;
+        reads += 1;
+    } while (startKey && reads < MAX_READS_PER_PAGE);
+
+    return { items, nextCursor: startKey ? encodeCursor(query.IndexName, startKey) : null };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    LIST_KEYS,
+    parseLimit,
+    queryPage
+};
@@ -0,0 +1,215 @@
+const AWS = require('aws-sdk');
+const bcrypt = require('bcryptjs');
+const { requestOtpQuietly, verifyOtp } = require('./otpService');
+const { hashPassword, validatePassword } = require('./passwordService');
+const { issueTokens, revokeAllSessions, getSessionSubject, describeDevice } = require('./tokenService');
+const { RIDERS_TABLE, findRiderByPhone } = require('./riderAccounts');
+const { validateTarget, sendOtpError } = require('./otp');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+
+/**
+ * Resolve the stored credential for a customer or rider phone
+ * @returns {Promise<{TableName: string, Key: Object, password: string, subject: string}|null>}
+ */
+const findCredential = async (phone, accountType) => {
+    if (accountType === 'rider') {
+        const rider = await findRiderByPhone(phone);
+        if (!rider || !rider.isActive || !rider.password) {
+            return null;
+        }
+
+        return {
+            TableName: RIDERS_TABLE,
+            Key: { id: rider.id },
+            password: rider.password,
+            subject: `rider#${rider.id}`
+        };
+    }
+
+    const result = await dynamoDB.get({
+        TableName: USERS_TABLE,
+        Key: { phone }
+    }).promise();
+
+    const user = result.Item;
+    if (!user || user.role === 'rider' || !user.isActive) {
+        return null;
+    }
+
+    return {
+        TableName: USERS_TABLE,
+        Key: { phone },
+        password: user.password,
+        subject: `user#${phone}`
+    };
+};
+
+/**
+ * Store a new password hash and end every existing session of the account
+ */
+const replacePassword = async (credential, newPassword, reason) => {
+    const now = new Date().toISOString();
+
+    await dynamoDB.update({
+        TableName: credential.TableName,
+        Key: credential.Key,
+        UpdateExpression: 'SET password = :password, passwordChangedAt = :now, updatedAt = :now',
+        ExpressionAttributeValues: {
+            ':password': await hashPassword(newPassword),
+            ':now': now
+        }
+    }).promise();
+
+    await revokeAllSessions(credential.subject, reason);
+};
+
+/**
+ * Send a password reset code
+ * @route POST /api/auth/password/forgot
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { phone, accountType = 'user' } = req.body || {};
+
+        const validationError = validateTarget({ phone, accountType });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const credential = await findCredential(phone, accountType);
+
+        // Same response whether the account is missing or on cooldown, to avoid leaking registered numbers
+        const delivery = await requestOtpQuietly({ phone, accountType, purpose: 'reset_password' }, Boolean(credential));
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this number, a reset code has been sent',
+            data: delivery
+        });
+
+    } catch (error) {
+        sendOtpError(res, error, 'Failed to send reset code');
+    }
+};
+
+/**
+ * Reset password with an OTP from forgotPassword
+ * @route POST /api/auth/password/reset
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { phone, accountType = 'user', code, newPassword } = req.body || {};
+
+        const validationError = validateTarget({ phone, accountType })
+            || (!code && 'Reset code is required')
+            || validatePassword(newPassword);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const credential = await findCredential(phone, accountType);
+
+        if (!credential) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code has expired or was not requested'
+            });
+        }
+
+        await verifyOtp({ phone, accountType, purpose: 'reset_password' }, code);
+        await replacePassword(credential, newPassword, 'password_reset');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        sendOtpError(res, error, 'Failed to reset password');
+    }
+};
+
+/**
+ * Change password for the logged-in customer or rider
+ * Other sessions are revoked; the caller gets a fresh token pair.
+ * @route POST /api/auth/password/change
+ */
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+
+        if (!currentPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is required'
+            });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
+        const accountType = req.user.role === 'rider' ? 'rider' : 'user';
+        const credential = await findCredential(req.user.phone, accountType);
+
+        // Make sure the phone still resolves to the account in the token
+        if (!credential || credential.subject !== getSessionSubject(req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(currentPassword, credential.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        await replacePassword(credential, newPassword, 'password_changed');
+
+        const { iat, exp, sid, ...claims } = req.user;
+        const tokens = await issueTokens(claims, describeDevice(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            data: tokens
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    forgotPassword,
+    resetPassword,
+    changePassword
+};
@@ -0,0 +1,27 @@
+const bcrypt = require('bcryptjs');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Hash a password with the configured bcrypt cost (BCRYPT_SALT_ROUNDS, default 10)
+ */
+const hashPassword = async (password) => {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+    return bcrypt.hash(password, saltRounds);
+};
+
+/**
+ * @returns {string|null} validation error message
+ */
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    validatePassword
+};
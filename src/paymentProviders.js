@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+/**
+ * Payment gateway adapters
+ *
+ * Every provider implements the same interface, so payments.js never talks to a gateway directly:
+ *   createIntent({ amount, currency, receipt, notes }) -> { intentId, amount, currency, checkout }
+ *     amount is in paise; checkout is what the app needs to open the gateway's payment sheet
+ *   verifyWebhook(rawBody, headers) -> boolean
+ *   parseWebhook(body) -> { type: 'paid' | 'failed', intentId, paymentId, amount, reason? } or null (ignored event)
+ *
+ * PAYMENT_PROVIDER (required) picks the adapter: 'razorpay', or 'fake' for local development
+ * (NODE_ENV=development only). It is checked when this module loads, so a misconfigured
+ * deploy fails at startup instead of taking payments it can't verify.
+ */
+
+const paymentProviderError = (message, status = 502) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, received) => {
+    if (typeof received !== 'string') {
+        return false;
+    }
+    // timingSafeEqual throws on buffers of different byte length (multi-byte characters)
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+    if (expectedBuffer.length !== receivedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * Razorpay: a Razorpay order is the payment intent; webhooks are signed with the webhook secret
+ * Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.
+ */
+const razorpay = {
+    name: 'razorpay',
+
+    createIntent: async ({ amount, currency, receipt, notes }) => {
+        const keyId = process.env.RAZORPAY_KEY_ID;
+        const keySecret = process.env.RAZORPAY_KEY_SECRET;
+        if (!keyId || !keySecret) {
+            throw paymentProviderError('Online payments are not configured', 503);
+        }
+
+        const response = await fetch(`${RAZORPAY_API_URL}/orders`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`
+            },
+            body: JSON.stringify({ amount, currency, receipt, notes })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            console.error('Razorpay order error:', response.status, data.error || data);
+            throw paymentProviderError('Could not start the payment. Please try again.');
+        }
+
+        return {
+            intentId: data.id,
+            amount: data.amount,
+            currency: data.currency,
+            checkout: {
+                provider: 'razorpay',
+                keyId,
+                orderId: data.id,
+                amount: data.amount,
+                currency: data.currency
+            }
+        };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        if (!secret || !rawBody) {
+            return false;
+        }
+        return signaturesMatch(hmacHex(secret, rawBody), headers['x-razorpay-signature']);
+    },
+
+    parseWebhook: (body) => {
+        const payment = body.payload && body.payload.payment ? body.payload.payment.entity : null;
+        if (!payment || !payment.order_id) {
+            return null;
+        }
+
+        const base = { intentId: payment.order_id, paymentId: payment.id, amount: payment.amount };
+        if (body.event === 'payment.captured' || body.event === 'order.paid') {
+            return { type: 'paid', ...base };
+        }
+        if (body.event === 'payment.failed') {
+            return { type: 'failed', ...base, reason: payment.error_description || payment.error_code || null };
+        }
+        return null;
+    }
+};
+
+const FAKE_WEBHOOK_SECRET = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+/**
+ * Local stand-in for a gateway: intents are created in memory and "paid" by posting a
+ * webhook signed with FAKE_PAYMENT_WEBHOOK_SECRET in X-Fake-Signature, e.g.
+ *   { "event": "payment.succeeded", "intentId": "fake_...", "paymentId": "pay_1", "amount": 25000 }
+ */
+const fake = {
+    name: 'fake',
+
+    createIntent: async ({ amount, currency }) => {
+        const intentId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+        return {
+            intentId,
+            amount,
+            currency,
+            checkout: { provider: 'fake', intentId, amount, currency }
+        };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+        if (!rawBody) {
+            return false;
+        }
+        return signaturesMatch(hmacHex(FAKE_WEBHOOK_SECRET, rawBody), headers['x-fake-signature']);
+    },
+
+    parseWebhook: (body) => {
+        if (!body.intentId) {
+            return null;
+        }
+
+        const base = { intentId: body.intentId, paymentId: body.paymentId || null, amount: body.amount };
+        if (body.event === 'payment.succeeded') {
+            return { type: 'paid', ...base };
+        }
+        if (body.event === 'payment.failed') {
+            return { type: 'failed', ...base, reason: body.reason || null };
+        }
+        return null;
+    },
+
+    // For development tools and scripts that simulate the gateway
+    sign: (rawBody) => hmacHex(FAKE_WEBHOOK_SECRET, rawBody)
+};
+
+const PROVIDERS = { razorpay, fake };
+
+/**
+ * The configured provider
+ * @throws {Error} when PAYMENT_PROVIDER is missing or unknown, or the provider's webhook secret is not set
+ */
+const resolvePaymentProvider = () => {
+    const name = process.env.PAYMENT_PROVIDER;
+    const provider = Object.keys(PROVIDERS).includes(name) ? PROVIDERS[name] : null;
+    if (!provider) {
+        throw new Error(`PAYMENT_PROVIDER must be set to one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    // Anyone who can sign a webhook could mark orders paid
+    if (provider === fake) {
+        if (process.env.NODE_ENV !== 'development') {
+            throw new Error('The fake payment provider is only available with NODE_ENV=development');
+        }
+        if (!FAKE_WEBHOOK_SECRET) {
+            throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+        }
+    }
+    if (provider === razorpay && !process.env.RAZORPAY_WEBHOOK_SECRET) {
+        throw new Error('RAZORPAY_WEBHOOK_SECRET is not set');
+    }
+
+    return provider;
+};
+
+const PAYMENT_PROVIDER = resolvePaymentProvider();
+
+const getPaymentProvider = () => PAYMENT_PROVIDER;
+
+module.exports = {
+    PROVIDERS,
+    getPaymentProvider
+};
@@ -0,0 +1,513 @@
+const AWS = require('aws-sdk');
+const { getPaymentProvider } = require('./paymentProviders');
+const { ROLES } = require('./authMiddleware');
+const { isPrepaidOrder, createRefundRecord } = require('./refunds');
+const { normalizeStatus, isFinalStatus, transitionOrder } = require('./orderLifecycle');
+const { releaseCouponRedemption } = require('./coupons');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const ORDERS_TABLE = process.env.DYNAMODB_ORDERS_TABLE || 'satvamirtham-orders';
+const PAYMENTS_TABLE = process.env.DYNAMODB_PAYMENTS_TABLE || 'satvamirtham-payments';
+
+// Cash and COD are collected by the rider; the rest are paid online through the gateway
+const PAYMENT_METHODS = ['Cash', 'COD', 'Online', 'UPI', 'Card'];
+
+// payOnDelivery: collected by the rider; pending: waiting for the online payment;
+// failed: the last attempt failed (the customer can retry until paymentDueBy); paid: money received
+const PAYMENT_STATUSES = ['payOnDelivery', 'pending', 'failed', 'paid'];
+
+// Prepaid orders not paid within this window are cancelled
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 15;
+
+// Unpaid orders are only cancelled automatically before pickup; later ones are left to staff
+const AUTO_CANCEL_STATUSES = ['scheduled', 'placed', 'confirmed', 'preparing', 'ready'];
+
+const paymentError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Payment method from a request body, defaulting to Cash
+ * @throws {Error} 400 for an unknown method
+ */
+const resolvePaymentMethod = (paymentMethod) => {
+    if (paymentMethod === undefined || paymentMethod === null || paymentMethod === '') {
+        return 'Cash';
+    }
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw paymentError(`Invalid payment method. Valid: ${PAYMENT_METHODS.join(', ')}`);
+    }
+    return paymentMethod;
+};
+
+/**
+ * Payment attributes of a new order
+ */
+const initialPaymentState = (paymentMethod, now = new Date()) => {
+    if (!isPrepaidOrder({ paymentMethod })) {
+        return { paymentStatus: 'payOnDelivery' };
+    }
+    return {
+        paymentStatus: 'pending',
+        paymentDueBy: new Date(now.getTime() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000).toISOString()
+    };
+};
+
+/**
+ * Start (or resume) the online payment of an order
+ * Returns what the app needs to open the gateway checkout. An unfinished intent for the
+ * same amount is reused, so retries don't create a new gateway order each time.
+ * @route POST /api/orders/:id/payment
+ */
+const createPaymentIntent = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await dynamoDB.get({
+            TableName: ORDERS_TABLE,
+            Key: { id }
+        }).promise();
+
+        const order = result.Item;
+        if (!order || !order.customer || order.customer.phone !== req.user.phone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!['pending', 'failed'].includes(order.paymentStatus)) {
+            return res.status(409).json({
+                success: false,
+                message: order.paymentStatus === 'paid'
+                    ? 'This order is already paid'
+                    : 'This order is not paid online'
+            });
+        }
+
+        if (isFinalStatus(order.status) || new Date(order.paymentDueBy) <= new Date()) {
+            return res.status(409).json({
+                success: false,
+                message: 'The payment window for this order has closed'
+            });
+        }
+
+        const amount = Math.round(order.totalAmount * 100);
+        const provider = getPaymentProvider();
+
+        if (order.payment && order.payment.provider === provider.name && order.payment.amount === amount) {
+            return res.status(200).json({
+                success: true,
+                data: { orderId: order.id, paymentDueBy: order.paymentDueBy, checkout: order.payment.checkout }
+            });
+        }
+
+        const intent = await provider.createIntent({
+            amount,
+            currency: 'INR',
+            receipt: order.id,
+            notes: { orderId: order.id }
+        });
+
+        const now = new Date().toISOString();
+        await dynamoDB.put({
+            TableName: PAYMENTS_TABLE,
+            Item: {
+                id: intent.intentId,
+                orderId: order.id,
+                customerPhone: order.customer.phone,
+                provider: provider.name,
+                amount: intent.amount,
+                currency: intent.currency,
+                status: 'created',
+                paymentId: null,
+                createdAt: now,
+                updatedAt: now
+            }
+        }).promise();
+
+        const payment = {
+            provider: provider.name,
+            intentId: intent.intentId,
+            amount: intent.amount,
+            currency: intent.currency,
+            checkout: intent.checkout,
+            createdAt: now
+        };
+
+        await dynamoDB.update({
+            TableName: ORDERS_TABLE,
+            Key: { id },
+            UpdateExpression: 'SET payment = :payment, updatedAt = :now',
+            ConditionExpression: 'paymentStatus IN (:pending, :failed)',
+            ExpressionAttributeValues: {
+                ':payment': payment,
+                ':now': now,
+                ':pending': 'pending',
+                ':failed': 'failed'
+            }
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            data: { orderId: order.id, paymentDueBy: order.paymentDueBy, checkout: intent.checkout }
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(409).json({
+                success: false,
+                message: 'This order is already paid'
+            });
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create payment intent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start payment',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * A successful payment: mark the order paid, or refund it if the order was cancelled meanwhile
+ */
+const recordPaidEvent = async (payment, event, now) => {
+    const result = await dynamoDB.update({
+        TableName: ORDERS_TABLE,
+        Key: { id: payment.orderId },
+        UpdateExpression: 'SET paymentStatus = :paid, paidAt = :now, paymentId = :paymentId, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND paymentStatus <> :paid',
+        ExpressionAttributeValues: {
+            ':paid': 'paid',
+            ':paymentId': event.paymentId,
+            ':now': now
+        },
+        ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    const order = result.Attributes;
+    if (normalizeStatus(order.status) !== 'cancelled') {
+        return { orderId: order.id, paymentStatus: 'paid' };
+    }
+
+    // Paid after the order was cancelled (e.g. by the payment timeout): the money goes back
+    await createRefundRecord(order, { reasonCode: 'paid_after_cancellation', requestedBy: 'system' });
+    await dynamoDB.update({
+        TableName: ORDERS_TABLE,
+        Key: { id: order.id },
+        UpdateExpression: 'SET refundId = :refundId',
+        ExpressionAttributeValues: { ':refundId': `RFD-${order.id}` }
+    }).promise();
+
+    return { orderId: order.id, paymentStatus: 'paid', refunded: true };
+};
+
+/**
+ * Apply a verified gateway event to its payment record and order
+ * Duplicate and out-of-order deliveries are ignored (gateways retry webhooks).
+ * @returns {Promise<Object>} what happened, for the webhook response and logs
+ */
+const processPaymentEvent = async (event) => {
+    const existing = await dynamoDB.get({
+        TableName: PAYMENTS_TABLE,
+        Key: { id: event.intentId }
+    }).promise();
+
+    const payment = existing.Item;
+    if (!payment) {
+        return { ignored: 'unknown payment intent' };
+    }
+
+    const now = new Date().toISOString();
+
+    if (event.type === 'paid' && event.amount !== payment.amount) {
+        console.error(`Payment ${event.paymentId} for ${payment.orderId}: paid ${event.amount}, expected ${payment.amount}`);
+        await dynamoDB.update({
+            TableName: PAYMENTS_TABLE,
+            Key: { id: payment.id },
+            UpdateExpression: 'SET #status = :mismatch, paymentId = :paymentId, paidAmount = :amount, updatedAt = :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':mismatch': 'amountMismatch',
+                ':paymentId': event.paymentId,
+                ':amount': event.amount,
+                ':now': now
+            }
+        }).promise();
+        return { ignored: 'amount mismatch', orderId: payment.orderId };
+    }
+
+    const status = event.type === 'paid' ? 'paid' : 'failed';
+
+    try {
+        await dynamoDB.update({
+            TableName: PAYMENTS_TABLE,
+            Key: { id: payment.id },
+            UpdateExpression: 'SET #status = :status, paymentId = :paymentId, failureReason = :reason, updatedAt = :now',
+            // A failure never overwrites a success; a repeated success changes nothing
+            ConditionExpression: '#status <> :paid',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':paymentId': event.paymentId,
+                ':reason': event.reason || null,
+                ':paid': 'paid',
+                ':now': now
+            }
+        }).promise();
+
+        if (status === 'paid') {
+            return await recordPaidEvent(payment, event, now);
+        }
+
+        await dynamoDB.update({
+            TableName: ORDERS_TABLE,
+            Key: { id: payment.orderId },
+            UpdateExpression: 'SET paymentStatus = :failed, updatedAt = :now',
+            ConditionExpression: 'paymentStatus = :pending',
+            ExpressionAttributeValues: { ':failed': 'failed', ':pending': 'pending', ':now': now }
+        }).promise();
+
+        return { orderId: payment.orderId, paymentStatus: 'failed' };
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return { ignored: 'already processed', orderId: payment.orderId };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Payment gateway webhook (no login; authenticated by the provider's signature over the raw body)
+ * @route POST /api/payments/webhook
+ */
+const handlePaymentWebhook = async (req, res) => {
+    try {
+        const provider = getPaymentProvider();
+
+        if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid signature'
+            });
+        }
+
+        const event = provider.parseWebhook(req.body || {});
+        if (!event) {
+            return res.status(200).json({
+                success: true,
+                message: 'Event ignored'
+            });
+        }
+
+        const result = await processPaymentEvent(event);
+
+        res.status(200).json({
+            success: true,
+            message: result.ignored ? `Event ignored: ${result.ignored}` : 'Payment updated',
+            data: result
+        });
+
+    } catch (error) {
+        // A 500 makes the gateway retry the delivery later
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process payment event',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Payment attempts made for a customer's orders
+ */
+const listCustomerPayments = async (phone) => {
+    const payments = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: PAYMENTS_TABLE,
+            FilterExpression: 'customerPhone = :phone',
+            ExpressionAttributeValues: { ':phone': phone },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        payments.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return payments;
+};
+
+/**
+ * Prepaid orders not yet picked up whose payment window has passed
+ */
+const findUnpaidOrdersDue = async (now = new Date()) => {
+    const orders = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: ORDERS_TABLE,
+            FilterExpression: 'paymentStatus IN (:pending, :failed) AND paymentDueBy <= :now',
+            ExpressionAttributeValues: {
+                ':pending': 'pending',
+                ':failed': 'failed',
+                ':now': now.toISOString()
+            },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        orders.push(...(result.Items || []).filter(order => AUTO_CANCEL_STATUSES.includes(normalizeStatus(order.status))));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return orders;
+};
+
+/**
+ * Cancel prepaid orders that were not paid in time (and give their coupon uses back)
+ * Orders changed meanwhile are skipped; one paid at the last moment is refunded by the webhook.
+ * @param {Object} [user] - admin who triggered the run (null for the scheduler)
+ * @returns {Promise<{cancelled: Array<string>, skipped: Array<string>}>} order ids
+ */
+const cancelUnpaidOrders = async (user = null, now = new Date()) => {
+    const due = await findUnpaidOrdersDue(now);
+    const cancelled = [];
+    const skipped = [];
+
+    for (const order of due) {
+        try {
+            // The rider was not on the way yet (see AUTO_CANCEL_STATUSES), so only the assignment is dropped
+            const updated = await transitionOrder({
+                order,
+                to: 'cancelled',
+                user,
+                reason: 'Payment not received in time',
+                set: {
+                    cancellation: { by: 'system', reasonCode: 'payment_timeout', note: null },
+                    ...(order.riderId && { riderId: null, riderName: null, releasedRiderId: order.riderId })
+                }
+            });
+
+            await releaseCouponRedemption(updated);
+            cancelled.push(order.id);
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            skipped.push(order.id);
+        }
+    }
+
+    return { cancelled, skipped };
+};
+
+/**
+ * Cancel unpaid prepaid orders now (the scheduler normally does this)
+ * @route POST /api/payments/cancel-unpaid
+ */
+const cancelUnpaidOrdersHandler = async (req, res) => {
+    try {
+        const result = await cancelUnpaidOrders(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: `Cancelled ${result.cancelled.length} unpaid order(s)`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Cancel unpaid orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel unpaid orders',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Payment attempts for an order (admins, or the customer who placed it)
+ * @route GET /api/orders/:id/payments
+ */
+const getOrderPayments = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const orderResult = await dynamoDB.get({
+            TableName: ORDERS_TABLE,
+            Key: { id }
+        }).promise();
+
+        const order = orderResult.Item;
+        const isCustomer = req.user.role === ROLES.CUSTOMER;
+        if (!order || (isCustomer && (!order.customer || order.customer.phone !== req.user.phone))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const result = await dynamoDB.query({
+            TableName: PAYMENTS_TABLE,
+            IndexName: 'orderId-index',
+            KeyConditionExpression: 'orderId = :orderId',
+            ExpressionAttributeValues: { ':orderId': id }
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                paymentMethod: order.paymentMethod,
+                paymentStatus: order.paymentStatus || null,
+                paymentDueBy: order.paymentDueBy || null,
+                paidAt: order.paidAt || null,
+                attempts: (result.Items || []).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get order payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch payments',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    PAYMENTS_TABLE,
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES,
+    resolvePaymentMethod,
+    initialPaymentState,
+    listCustomerPayments,
+    processPaymentEvent,
+    findUnpaidOrdersDue,
+    cancelUnpaidOrders,
+    createPaymentIntent,
+    handlePaymentWebhook,
+    cancelUnpaidOrdersHandler,
+    getOrderPayments
+};
@@ -0,0 +1,176 @@
+const AWS = require('aws-sdk');
+const { computeCharges } = require('./charges');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const MENU_TABLE = process.env.DYNAMODB_MENU_TABLE;
+
+// Only these catalog entries can be ordered
+const ORDERABLE_TYPES = ['package', 'single'];
+
+const MAX_LINES_PER_ORDER = 50;
+const MAX_QUANTITY_PER_LINE = 20;
+
+// Client and server totals may differ by rounding only
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * Build an error carrying an HTTP status (and optional response data) for the handlers to relay
+ */
+const pricingError = (message, status = 400, data = null) => {
+    const error = new Error(message);
+    error.status = status;
+    error.data = data;
+    return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate the client's line items and merge repeated ids
+ * Lines are { id, quantity }; any name/price sent by the client is ignored.
+ * @returns {Array<{id: string, quantity: number}>}
+ */
+const normalizeLines = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw pricingError('At least one item is required');
+    }
+    if (items.length > MAX_LINES_PER_ORDER) {
+        throw pricingError(`An order can have at most ${MAX_LINES_PER_ORDER} items`);
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+        const id = item && (item.id || item.itemId);
+        const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+
+        if (!id || typeof id !== 'string') {
+            throw pricingError('Every item needs an id');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw pricingError(`Invalid quantity for item ${id}`);
+        }
+
+        quantities.set(id, (quantities.get(id) || 0) + quantity);
+    }
+
+    return [...quantities].map(([id, quantity]) => {
+        if (quantity > MAX_QUANTITY_PER_LINE) {
+            throw pricingError(`At most ${MAX_QUANTITY_PER_LINE} of item ${id} can be ordered`);
+        }
+        return { id, quantity };
+    });
+};
+
+/**
+ * Fetch catalog entries by id (BatchGet, retrying unprocessed keys)
+ * @returns {Promise<Map<string, Object>>}
+ */
+const loadCatalogItems = async (ids) => {
+    const found = new Map();
+    let keys = ids.map(id => ({ id }));
+
+    while (keys.length > 0) {
+        const result = await dynamoDB.batchGet({
+            RequestItems: { [MENU_TABLE]: { Keys: keys } }
+        }).promise();
+
+        (result.Responses[MENU_TABLE] || []).forEach(item => found.set(item.id, item));
+
+        const unprocessed = result.UnprocessedKeys && result.UnprocessedKeys[MENU_TABLE];
+        keys = unprocessed ? unprocessed.Keys : [];
+    }
+
+    return found;
+};
+
+/**
+ * Unknown, deleted (inactive), hidden and legacy menu entries can't be ordered
+ */
+const isOrderable = (entry) => {
+    return !!entry
+        && ORDERABLE_TYPES.includes(entry.type)
+        && entry.isActive === true
+        && entry.isVisible !== false;
+};
+
+/**
+ * Price an order from the catalog
+ * Rejects unknown, inactive or hidden items. Each line keeps a snapshot of the
+ * catalog name and price so later menu edits don't change past orders; GST,
+ * packaging and delivery charges come from charges.js.
+ * @param {Array} items - client line items ({ id, quantity })
+ * @returns {Promise<{items: Array, pricing: Object}>}
+ */
+const priceOrder = async (items) => {
+    const lines = normalizeLines(items);
+    const catalog = await loadCatalogItems(lines.map(line => line.id));
+
+    const unavailable = lines
+        .filter(({ id }) => !isOrderable(catalog.get(id)))
+        .map(({ id }) => id);
+
+    if (unavailable.length > 0) {
+        throw pricingError('Some items are no longer available', 400, { unavailableItems: unavailable });
+    }
+
+    const pricedItems = lines.map(({ id, quantity }) => {
+        const entry = catalog.get(id);
+        const unitPrice = roundMoney(Number(entry.price));
+
+        return {
+            id,
+            type: entry.type,
+            name: entry.name,
+            ...(entry.type === 'package'
+                ? { day: entry.day, mealType: entry.mealType }
+                : { category: entry.category }),
+            unitPrice,
+            quantity,
+            lineTotal: roundMoney(unitPrice * quantity)
+        };
+    });
+
+    return {
+        items: pricedItems,
+        pricing: { ...computeCharges(pricedItems), couponCode: null }
+    };
+};
+
+/**
+ * Re-price an order with a coupon discount (see coupons.js)
+ * GST is charged on the discounted value of the lines the coupon applies to.
+ * @param {Object} priced - result of priceOrder
+ * @param {{code: string, amount: number, itemIds?: string[]}} discount
+ */
+const applyDiscount = (priced, discount) => ({
+    items: priced.items,
+    pricing: { ...computeCharges(priced.items, discount), couponCode: discount.code }
+});
+
+/**
+ * Compare the total the customer saw with the server's price
+ * Throws 409 with the server pricing so the app can show the new total and ask again.
+ */
+const assertExpectedTotal = (expectedTotal, priced) => {
+    const expected = Number(expectedTotal);
+
+    if (!Number.isFinite(expected) || Math.abs(expected - priced.pricing.total) > TOTAL_TOLERANCE) {
+        throw pricingError(
+            `Order total has changed to ₹${priced.pricing.total.toFixed(2)}. Please review your order.`,
+            409,
+            { expectedTotal: Number.isFinite(expected) ? expected : null, ...priced }
+        );
+    }
+};
+
+module.exports = {
+    priceOrder,
+    applyDiscount,
+    assertExpectedTotal
+};
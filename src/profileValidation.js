@@ -0,0 +1,78 @@
+/**
+ * Field validators shared by registration and the /api/me profile endpoints
+ * Each returns an error message, or null when the value is acceptable.
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_IMAGE_URL_LENGTH = 2048;
+
+const validateName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+};
+
+const validatePhone = (phone) => {
+    if (!/^\d{10}$/.test(phone)) {
+        return 'Phone number must be exactly 10 digits';
+    }
+    return null;
+};
+
+/**
+ * Email is optional for customers; null/empty clears it
+ */
+const validateEmail = (email) => {
+    if (email && (typeof email !== 'string' || !/\S+@\S+\.\S+/.test(email))) {
+        return 'Invalid email format';
+    }
+    return null;
+};
+
+/**
+ * Profile images are uploaded elsewhere; we only store an https URL (or null to remove it)
+ */
+const validateProfileImage = (profileImage) => {
+    if (profileImage === null) {
+        return null;
+    }
+    if (typeof profileImage !== 'string' || profileImage.length > MAX_IMAGE_URL_LENGTH) {
+        return 'Profile image must be an https URL';
+    }
+
+    try {
+        const url = new URL(profileImage);
+        if (url.protocol !== 'https:') {
+            return 'Profile image must be an https URL';
+        }
+    } catch (error) {
+        return 'Profile image must be an https URL';
+    }
+    return null;
+};
+
+const validateAddress = (address) => {
+    if (address === null) {
+        return null;
+    }
+    if (typeof address !== 'string' || address.trim().length > MAX_ADDRESS_LENGTH) {
+        return `Address must be text of at most ${MAX_ADDRESS_LENGTH} characters`;
+    }
+    return null;
+};
+
+const normalizeEmail = (email) => (email ? email.trim().toLowerCase() : null);
+
+module.exports = {
+    validateName,
+    validatePhone,
+    validateEmail,
+    validateProfileImage,
+    validateAddress,
+    normalizeEmail
+};
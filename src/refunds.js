@@ -0,0 +1,210 @@
+const AWS = require('aws-sdk');
+const { LIST_KEYS, parseLimit, queryPage } = require('./pagination');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const REFUNDS_TABLE = process.env.DYNAMODB_REFUNDS_TABLE || 'satvamirtham-refunds';
+
+// pending: owed to the customer; processed: money sent back; failed: needs manual follow-up
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+// Orders paid with these methods were not charged up front
+const POSTPAID_METHODS = ['Cash', 'COD'];
+
+const isPrepaidOrder = (order) => !POSTPAID_METHODS.includes(order.paymentMethod || 'Cash');
+
+// Whether the customer's money has arrived (orders from before payment tracking count as paid if prepaid)
+const isPaidOrder = (order) => order.paymentStatus ? order.paymentStatus === 'paid' : isPrepaidOrder(order);
+
+/**
+ * Record that an order's payment is owed back to the customer
+ * The refund id is derived from the order, so an order is never refunded twice.
+ * @returns {Promise<Object>} the refund record (existing one if already created)
+ */
+const createRefundRecord = async (order, { reasonCode, requestedBy }) => {
+    const now = new Date().toISOString();
+    const refund = {
+        id: `RFD-${order.id}`,
+        listKey: LIST_KEYS.refunds,
+        orderId: order.id,
+        // Keys the customer refund index, so it is left out rather than null
+        ...(order.customer && order.customer.phone && { customerPhone: order.customer.phone }),
+        amount: order.totalAmount,
+        currency: 'INR',
+        paymentMethod: order.paymentMethod,
+        reasonCode,
+        requestedBy,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    try {
+        await dynamoDB.put({
+            TableName: REFUNDS_TABLE,
+            Item: refund,
+            ConditionExpression: 'attribute_not_exists(id)'
+        }).promise();
+        return refund;
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+        const existing = await dynamoDB.get({
+            TableName: REFUNDS_TABLE,
+            Key: { id: refund.id }
+        }).promise();
+        return existing.Item;
+    }
+};
+
+/**
+ * Refunds owed or paid to a customer (customerPhone-createdAt-index)
+ */
+const listCustomerRefunds = async (phone) => {
+    const refunds = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.query({
+            TableName: REFUNDS_TABLE,
+            IndexName: 'customerPhone-createdAt-index',
+            KeyConditionExpression: 'customerPhone = :phone',
+            ExpressionAttributeValues: { ':phone': phone },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        refunds.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return refunds;
+};
+
+/**
+ * List refunds, newest first
+ * Query: status?, limit? (default 100, max 200), cursor? (nextCursor of the previous page)
+ * @route GET /api/refunds
+ */
+const getRefunds = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = parseLimit(req.query.limit);
+
+        // A status has its own index; otherwise all refunds share the listing partition
+        const byStatus = status && REFUND_STATUSES.includes(status);
+        const query = byStatus
+            ? {
+                TableName: REFUNDS_TABLE,
+                IndexName: 'status-createdAt-index',
+                KeyConditionExpression: '#status = :status',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':status': status }
+            }
+            : {
+                TableName: REFUNDS_TABLE,
+                IndexName: 'listKey-createdAt-index',
+                KeyConditionExpression: 'listKey = :listKey',
+                ExpressionAttributeValues: { ':listKey': LIST_KEYS.refunds }
+            };
+
+        const { items, nextCursor } = await queryPage({
+            query,
+            keyAttributes: ['id', byStatus ? 'status' : 'listKey', 'createdAt'],
+            limit,
+            cursor: req.query.cursor
+        });
+
+        res.status(200).json({
+            success: true,
+            count: items.length,
+            nextCursor,
+            data: items
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get refunds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Mark a refund as processed or failed (e.g. after paying it out from the gateway dashboard)
+ * @route PATCH /api/refunds/:id/status
+ */
+const updateRefundStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reference } = req.body;
+
+        if (!['processed', 'failed'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Valid: processed, failed'
+            });
+        }
+
+        const result = await dynamoDB.update({
+            TableName: REFUNDS_TABLE,
+            Key: { id },
+            UpdateExpression: 'SET #status = :status, reference = :reference, processedBy = :by, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(id) AND #status <> :processed',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':reference': reference || null,
+                ':by': req.user.email,
+                ':processed': 'processed',
+                ':now': new Date().toISOString()
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        res.status(200).json({
+            success: true,
+            message: `Refund marked as ${status}`,
+            data: result.Attributes
+        });
+
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(409).json({
+                success: false,
+                message: 'Refund not found or already processed'
+            });
+        }
+
+        console.error('Update refund status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update refund',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    REFUNDS_TABLE,
+    isPrepaidOrder,
+    isPaidOrder,
+    createRefundRecord,
+    listCustomerRefunds,
+    getRefunds,
+    updateRefundStatus
+};
@@ -1,6 +1,7 @@
 const AWS = require('aws-sdk');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { hashPassword, validatePassword } = require('./passwordService');
+const { issueTokens, describeDevice } = require('./tokenService');
+const { validatePhone, validateEmail, normalizeEmail } = require('./profileValidation');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -12,20 +13,14 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 const TABLE_NAME = process.env.DYNAMODB_TABLE;
 
 /**
- * Generate JWT Token
+ * Build JWT claims for a customer account
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      phone: user.phone,
-      name: user.name,
-      role: user.role,
-      email: user.email
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
-};
+const buildClaims = (user) => ({
+  phone: user.phone,
+  name: user.name,
+  role: user.role,
+  email: user.email
+});
 
 /**
  * Register new user
@@ -33,7 +28,7 @@ const generateToken = (user) => {
  */
 const registerHandler = async (req, res) => {
   try {
-    const { name, email, phone, password, role } = req.body;
+    const { name, email, phone, password } = req.body;
 
     // Validation - Phone is mandatory, email is optional
     if (!name || !phone || !password) {
@@ -43,27 +38,21 @@ const registerHandler = async (req, res) => {
       });
     }
 
-    // Validate phone number (10 digits)
-    if (!/^\d{10}$/.test(phone)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number must be exactly 10 digits'
-      });
-    }
-
-    // Validate email format (if provided)
-    if (email && !/\S+@\S+\.\S+/.test(email)) {
+    // Validate phone number (10 digits) and email format (if provided)
+    const fieldError = validatePhone(phone) || validateEmail(email);
+    if (fieldError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email format'
+        message: fieldError
       });
     }
 
     // Validate password length
-    if (password.length < 6) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: passwordError
       });
     }
 
@@ -83,16 +72,16 @@ const registerHandler = async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await hashPassword(password);
 
     // Create user object
     const newUser = {
       phone, // Primary key (mandatory)
       name,
-      email: email || null, // Optional - for marketing only
+      email: normalizeEmail(email), // Optional - for marketing only
+      emailVerified: false,
       password: hashedPassword,
-      role: role || 'user', // 'user' or 'rider'
+      role: 'user', // Riders register via /api/rider/auth/register; roles are never caller-supplied
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       isActive: true,
@@ -111,8 +100,8 @@ const registerHandler = async (req, res) => {
 
     await dynamoDB.put(putParams).promise();
 
-    // Generate JWT token
-    const token = generateToken(newUser);
+    // Start a session (access + refresh token)
+    const tokens = await issueTokens(buildClaims(newUser), describeDevice(req));
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = newUser;
@@ -123,7 +112,7 @@ const registerHandler = async (req, res) => {
       message: 'Registration successful',
       data: {
         user: userWithoutPassword,
-        token
+        ...tokens
       }
     });
 
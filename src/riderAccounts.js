@@ -0,0 +1,222 @@
+const AWS = require('aws-sdk');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
+// phone -> riderId; the conditional writes on this table are what keep rider phones unique
+const RIDER_PHONES_TABLE = process.env.DYNAMODB_RIDER_PHONES_TABLE || 'satvamirtham-rider-phones';
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const riderAccountError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Find the rider that owns a phone number
+ * Every rider (self-registered or admin-created) keeps profile and password hash
+ * in RIDERS_TABLE; this is the only lookup path by phone.
+ * @returns {Promise<Object|null>} full rider record (including password hash)
+ */
+const findRiderByPhone = async (phone) => {
+    const phoneResult = await dynamoDB.get({
+        TableName: RIDER_PHONES_TABLE,
+        Key: { phone }
+    }).promise();
+
+    if (!phoneResult.Item) {
+        return null;
+    }
+
+    const riderResult = await dynamoDB.get({
+        TableName: RIDERS_TABLE,
+        Key: { id: phoneResult.Item.riderId }
+    }).promise();
+
+    return riderResult.Item || null;
+};
+
+/**
+ * Whether a rider still counts as the owner of its phone number
+ * Deactivated, soft-deleted and rejected riders can't log in, so their claim may be taken over.
+ */
+const holdsPhone = (rider) => !!rider && rider.isActive !== false && rider.approvalStatus !== 'rejected';
+
+/**
+ * Transaction items that claim a phone number for a rider
+ * A claim held by a rider who no longer holds the phone (see holdsPhone) is taken over; that
+ * rider is re-checked in the same transaction so it can't be reactivated in between.
+ * Throws a 409 error if the phone belongs to another rider.
+ * @returns {Promise<Array>} empty when the rider already holds the claim
+ */
+const phoneClaimItems = async (phone, riderId, now) => {
+    const claim = await dynamoDB.get({
+        TableName: RIDER_PHONES_TABLE,
+        Key: { phone }
+    }).promise();
+
+    if (!claim.Item) {
+        return [{
+            Put: {
+                TableName: RIDER_PHONES_TABLE,
+                Item: { phone, riderId, createdAt: now },
+                ConditionExpression: 'attribute_not_exists(phone)'
+            }
+        }];
+    }
+
+    const holderId = claim.Item.riderId;
+    if (holderId === riderId) {
+        return [];
+    }
+
+    const holder = await dynamoDB.get({
+        TableName: RIDERS_TABLE,
+        Key: { id: holderId }
+    }).promise();
+
+    if (holdsPhone(holder.Item)) {
+        throw riderAccountError('A rider with this phone number already exists', 409);
+    }
+
+    return [
+        {
+            Put: {
+                TableName: RIDER_PHONES_TABLE,
+                Item: { phone, riderId, previousRiderId: holderId, createdAt: now },
+                ConditionExpression: 'riderId = :holderId',
+                ExpressionAttributeValues: { ':holderId': holderId }
+            }
+        },
+        {
+            ConditionCheck: {
+                TableName: RIDERS_TABLE,
+                Key: { id: holderId },
+                ConditionExpression: 'attribute_not_exists(id) OR isActive = :false OR approvalStatus = :rejected',
+                ExpressionAttributeValues: { ':false': false, ':rejected': 'rejected' }
+            }
+        }
+    ];
+};
+
+/**
+ * Create a rider record and claim its phone number atomically
+ * Throws a 409 error if the phone already belongs to a rider.
+ * @param {Object} rider - complete rider record (id, phone, password hash, ...)
+ */
+const createRiderAccount = async (rider) => {
+    const claimItems = await phoneClaimItems(rider.phone, rider.id, rider.createdAt || rider.joinedAt);
+
+    try {
+        await dynamoDB.transactWrite({
+            TransactItems: [
+                ...claimItems,
+                {
+                    Put: {
+                        TableName: RIDERS_TABLE,
+                        Item: rider,
+                        ConditionExpression: 'attribute_not_exists(id)'
+                    }
+                }
+            ]
+        }).promise();
+    } catch (error) {
+        if (error.code === 'TransactionCanceledException') {
+            throw riderAccountError('A rider with this phone number already exists', 409);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Move a rider to a new phone number, releasing the old one
+ * Throws a 409 error if the new phone already belongs to another rider.
+ */
+const changeRiderPhone = async (rider, newPhone) => {
+    const now = new Date().toISOString();
+    const claimItems = await phoneClaimItems(newPhone, rider.id, now);
+
+    // The old number may already have been taken over while this rider was inactive
+    const oldClaim = await dynamoDB.get({
+        TableName: RIDER_PHONES_TABLE,
+        Key: { phone: rider.phone }
+    }).promise();
+    const releaseItems = oldClaim.Item && oldClaim.Item.riderId === rider.id
+        ? [{
+            Delete: {
+                TableName: RIDER_PHONES_TABLE,
+                Key: { phone: rider.phone },
+                ConditionExpression: 'riderId = :riderId',
+                ExpressionAttributeValues: { ':riderId': rider.id }
+            }
+        }]
+        : [];
+
+    try {
+        await dynamoDB.transactWrite({
+            TransactItems: [
+                ...releaseItems,
+                ...claimItems,
+                {
+                    Update: {
+                        TableName: RIDERS_TABLE,
+                        Key: { id: rider.id },
+                        UpdateExpression: 'SET phone = :phone, updatedAt = :now',
+                        ExpressionAttributeValues: { ':phone': newPhone, ':now': now }
+                    }
+                }
+            ]
+        }).promise();
+    } catch (error) {
+        if (error.code === 'TransactionCanceledException') {
+            throw riderAccountError('A rider with this phone number already exists', 409);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Make sure a rider being reactivated still owns its phone number, claiming it back if free
+ * Throws a 409 error if another rider took the phone over in the meantime.
+ */
+const reclaimRiderPhone = async (rider) => {
+    let claimItems;
+    try {
+        claimItems = await phoneClaimItems(rider.phone, rider.id, new Date().toISOString());
+    } catch (error) {
+        if (error.status === 409) {
+            throw riderAccountError('Another rider now uses this phone number; change the phone number to reactivate', 409);
+        }
+        throw error;
+    }
+
+    if (claimItems.length === 0) {
+        return;
+    }
+
+    try {
+        await dynamoDB.transactWrite({ TransactItems: claimItems }).promise();
+    } catch (error) {
+        if (error.code === 'TransactionCanceledException') {
+            throw riderAccountError('Another rider now uses this phone number; change the phone number to reactivate', 409);
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    RIDERS_TABLE,
+    RIDER_PHONES_TABLE,
+    findRiderByPhone,
+    createRiderAccount,
+    changeRiderPhone,
+    reclaimRiderPhone
+};
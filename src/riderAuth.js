@@ -1,6 +1,15 @@
 const AWS = require('aws-sdk');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { issueTokens, describeDevice, setSessionPushToken } = require('./tokenService');
+const { hashPassword, validatePassword } = require('./passwordService');
+const {
+    reserveLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess,
+    sendBlockedResponse
+} = require('./loginGuard');
+const { findRiderByPhone, createRiderAccount } = require('./riderAccounts');
+const { generateId } = require('./ids');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -9,33 +18,44 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
 });
 
-const USERS_TABLE = process.env.DYNAMODB_TABLE; // Users table for Auth
-const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders'; // Riders table for profile
+const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
 
 /**
- * Generate JWT Token
+ * Login refusal message for riders whose application isn't approved yet
+ * Records without approvalStatus predate the approval workflow and count as approved.
+ * @returns {string|null}
  */
-const generateToken = (user) => {
-    return jwt.sign(
-        {
-            phone: user.phone,
-            name: user.name,
-            role: 'rider', // Force rider role
-            riderId: user.riderId
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+const getApprovalBlockMessage = (profile) => {
+    if (!profile || !profile.approvalStatus || profile.approvalStatus === 'approved') {
+        return null;
+    }
+
+    if (profile.approvalStatus === 'rejected') {
+        return `Your rider application was not approved${profile.rejectionReason ? `: ${profile.rejectionReason}` : '.'}`;
+    }
+
+    return 'Your rider application is under review. You can log in once it has been approved.';
 };
 
+/**
+ * Build JWT claims for a rider record
+ */
+const buildClaims = (rider) => ({
+    phone: rider.phone,
+    name: rider.name,
+    role: 'rider', // Force rider role
+    riderId: rider.id
+});
+
 /**
  * Register Rider
- * Creates entry in BOTH Users table (for auth) and Riders table (for profile)
+ * Creates the rider record (profile + credentials) and claims the phone number
+ * Self-registered riders start as 'pending' and can't log in until an admin approves them.
  * @route POST /api/rider/auth/register
  */
 const registerRider = async (req, res) => {
     try {
-        const { name, phone, password, email, vehicleType, vehicleNumber } = req.body;
+        const { name, phone, password, email, vehicleType, vehicleNumber, fcmToken } = req.body;
 
         if (!name || !phone || !password || !vehicleType || !vehicleNumber) {
             return res.status(400).json({
@@ -44,47 +64,28 @@ const registerRider = async (req, res) => {
             });
         }
 
-        // 1. Check if phone exists in Users table
-        const existingUser = await dynamoDB.get({
-            TableName: USERS_TABLE,
-            Key: { phone }
-        }).promise();
-
-        if (existingUser.Item) {
-            return res.status(409).json({
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({
                 success: false,
-                message: 'User with this phone number already exists'
+                message: passwordError
             });
         }
 
-        // 2. Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        // 1. Hash password
+        const hashedPassword = await hashPassword(password);
 
-        // 3. Generate Rider ID
-        const riderId = `RDR${Date.now()}`;
+        // 2. Generate Rider ID
+        const riderId = generateId('RDR');
         const now = new Date().toISOString();
 
-        // 4. Create User Record (for Auth)
-        const userRecord = {
-            phone,
-            name,
-            password: hashedPassword,
-            role: 'rider',
-            riderId, // Link to rider profile
-            isActive: true,
-            createdAt: now,
-            updatedAt: now
-        };
-
-        if (email) {
-            userRecord.email = email;
-        }
-
-        // 5. Create Rider Record (for Profile)
+        // 3. Build Rider Record (profile + credentials)
         const riderRecord = {
             id: riderId, // Primary Key for Riders Table
             name,
             phone,
+            password: hashedPassword,
+            email: email || '',
             vehicleType,
             vehicleNumber,
             status: 'offline', // Default status
@@ -92,54 +93,44 @@ const registerRider = async (req, res) => {
             rating: 5.0,
             isActive: true,
             currentOrderId: null,
+            approvalStatus: 'pending',
             joinedAt: now,
+            createdAt: now,
             updatedAt: now
         };
 
-        if (email) {
-            riderRecord.email = email;
+        // Lets us notify the applicant about the review decision
+        if (fcmToken) {
+            riderRecord.fcmToken = fcmToken;
         }
 
-        // 6. TransactWriteItems to ensure atomicity
-        // Note: TransactWrite uses 'TableName' not 'Table' inside items. 
-        // Also DocumentClient.transactWrite parameter structure matches underlying DynamoDB API.
-        await dynamoDB.transactWrite({
-            TransactItems: [
-                {
-                    Put: {
-                        TableName: USERS_TABLE,
-                        Item: userRecord,
-                        ConditionExpression: 'attribute_not_exists(phone)'
-                    }
-                },
-                {
-                    Put: {
-                        TableName: RIDERS_TABLE,
-                        Item: riderRecord
-                    }
-                }
-            ]
-        }).promise();
-
-        // 7. Generate Token
-        const token = generateToken(userRecord);
+        // 4. Save; fails with 409 if the phone already belongs to a rider
+        await createRiderAccount(riderRecord);
 
+        // 5. No session until the application is approved
         res.status(201).json({
             success: true,
-            message: 'Rider registered successfully',
+            message: 'Rider application submitted. You can log in once it has been approved.',
             data: {
                 rider: {
                     id: riderId,
                     name,
                     phone,
                     vehicleType,
-                    status: 'offline'
-                },
-                token
+                    status: 'offline',
+                    approvalStatus: 'pending'
+                }
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Rider Registration Error:', error);
         res.status(500).json({
             success: false,
@@ -151,8 +142,7 @@ const registerRider = async (req, res) => {
 
 /**
  * Login Rider
- * First tries to authenticate from RIDERS_TABLE (admin-created riders)
- * Falls back to USERS_TABLE for backwards compatibility
+ * Riders are looked up by phone through the rider phone index (see riderAccounts.js)
  * @route POST /api/rider/auth/login
  */
 const loginRider = async (req, res) => {
@@ -163,82 +153,49 @@ const loginRider = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Phone and password are required' });
         }
 
-        // 1. First, try to find rider in RIDERS_TABLE (admin-created riders)
-        const ridersResult = await dynamoDB.scan({
-            TableName: RIDERS_TABLE,
-            FilterExpression: 'phone = :phone AND isActive = :isActive',
-            ExpressionAttributeValues: {
-                ':phone': phone,
-                ':isActive': true
-            }
-        }).promise();
-
-        const riderFromTable = ridersResult.Items && ridersResult.Items[0];
-
-        // If rider found in RIDERS_TABLE and has password (admin-created)
-        if (riderFromTable && riderFromTable.password) {
-            const validPassword = await bcrypt.compare(password, riderFromTable.password);
-            if (!validPassword) {
-                return res.status(401).json({ success: false, message: 'Invalid credentials' });
-            }
-
-            // Generate token using rider data
-            const token = generateToken({
-                phone: riderFromTable.phone,
-                name: riderFromTable.name,
-                riderId: riderFromTable.id
-            });
-
-            // Remove password from response
-            const { password: _, ...riderWithoutPassword } = riderFromTable;
-
-            return res.status(200).json({
-                success: true,
-                message: 'Login successful',
-                data: {
-                    rider: riderWithoutPassword,
-                    token
-                }
-            });
+        // Brute-force protection runs before the rider lookup; the attempt counts as failed until it succeeds
+        const { blocked, reservation: attempt } = await reserveLoginAttempt({ scope: 'rider', phone, ip: req.ip });
+        if (blocked) {
+            return sendBlockedResponse(res, blocked);
         }
 
-        // 2. Fallback: Check USERS_TABLE (legacy registered riders)
-        const userResult = await dynamoDB.get({
-            TableName: USERS_TABLE,
-            Key: { phone }
-        }).promise();
+        const rider = await findRiderByPhone(phone);
 
-        const user = userResult.Item;
-
-        if (!user || user.role !== 'rider') {
+        if (!rider || !rider.isActive || !rider.password) {
+            await recordLoginFailure(attempt);
             return res.status(401).json({ success: false, message: 'Invalid credentials or not a rider account' });
         }
 
         // Verify Password
-        const validPassword = await bcrypt.compare(password, user.password);
+        const validPassword = await bcrypt.compare(password, rider.password);
         if (!validPassword) {
+            await recordLoginFailure(attempt);
             return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
-        // Get Rider Profile from Riders Table
-        let riderProfile = null;
-        if (user.riderId) {
-            const riderResult = await dynamoDB.get({
-                TableName: RIDERS_TABLE,
-                Key: { id: user.riderId }
-            }).promise();
-            riderProfile = riderResult.Item;
+        await recordLoginSuccess(attempt);
+
+        const approvalBlock = getApprovalBlockMessage(rider);
+        if (approvalBlock) {
+            return res.status(403).json({
+                success: false,
+                message: approvalBlock,
+                approvalStatus: rider.approvalStatus
+            });
         }
 
-        // Generate Token
-        const token = generateToken(user);
+        // Start a session
+        const tokens = await issueTokens(buildClaims(rider), describeDevice(req));
+
+        // Remove password from response
+        const { password: _, ...riderWithoutPassword } = rider;
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
             data: {
-                rider: riderProfile || { id: user.riderId, name: user.name, phone: user.phone },
-                token
+                rider: riderWithoutPassword,
+                ...tokens
             }
         });
 
@@ -248,10 +205,17 @@ const loginRider = async (req, res) => {
     }
 };
 
-// Update FCM Token
+/**
+ * Update FCM Token for the authenticated rider
+ * The token is tied to the caller's session, so revoking that session stops pushes to the device.
+ * Apps should call this after every login, since a new session starts without a push token.
+ * @route POST /api/rider/auth/fcm
+ */
 const updateFCMToken = async (req, res) => {
     try {
-        const { riderId, fcmToken } = req.body;
+        const { fcmToken } = req.body;
+        // Riders can only register tokens for themselves
+        const riderId = req.user.riderId;
 
         console.log('FCM Token Update Request:', { riderId, fcmToken: fcmToken ? fcmToken.substring(0, 20) + '...' : 'missing' });
 
@@ -263,12 +227,15 @@ const updateFCMToken = async (req, res) => {
             });
         }
 
+        await setSessionPushToken(req.user.sid, fcmToken);
+
         const params = {
             TableName: RIDERS_TABLE,
             Key: { id: riderId },
-            UpdateExpression: 'set fcmToken = :token, updatedAt = :now',
+            UpdateExpression: 'set fcmToken = :token, fcmSessionId = :sid, updatedAt = :now',
             ExpressionAttributeValues: {
                 ':token': fcmToken,
+                ':sid': req.user.sid,
                 ':now': new Date().toISOString()
             },
             ReturnValues: 'ALL_NEW'
@@ -277,10 +244,12 @@ const updateFCMToken = async (req, res) => {
         const result = await dynamoDB.update(params).promise();
         console.log('FCM Token updated successfully for rider:', riderId);
 
+        const { password, ...riderWithoutPassword } = result.Attributes;
+
         res.status(200).json({
             success: true,
             message: 'FCM Token updated successfully',
-            data: result.Attributes
+            data: riderWithoutPassword
         });
     } catch (error) {
         console.error('Update FCM Error:', error);
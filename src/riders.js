@@ -1,5 +1,10 @@
 const AWS = require('aws-sdk');
-const bcrypt = require('bcryptjs');
+const { hashPassword, validatePassword } = require('./passwordService');
+const { revokeAllSessions } = require('./tokenService');
+const { recordAuditEvent } = require('./auditLog');
+const { createRiderAccount, changeRiderPhone, reclaimRiderPhone } = require('./riderAccounts');
+const { generateId } = require('./ids');
+const { parseLimit, queryPage } = require('./pagination');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -13,30 +18,46 @@ const RIDERS_TABLE = process.env.DYNAMODB_RIDERS_TABLE || 'satvamirtham-riders';
 // Valid rider statuses
 const RIDER_STATUSES = ['available', 'on-delivery', 'offline'];
 
+// Self-registration review states (riders without approvalStatus predate the workflow)
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Only approved riders show up in rosters, stats and dispatch
+const APPROVED_FILTER = '(attribute_not_exists(approvalStatus) OR approvalStatus = :approved)';
+
 /**
- * Get all riders
+ * Get all riders, newest first
+ * Query: status?, limit? (default 100, max 200), cursor? (nextCursor of the previous page)
  * @route GET /api/riders
  */
 const getAllRiders = async (req, res) => {
     try {
         const { status } = req.query;
+        const limit = parseLimit(req.query.limit);
 
-        let params = {
+        // Approved riders only; records from before the approval workflow are backfilled as approved
+        const query = {
             TableName: RIDERS_TABLE,
+            IndexName: 'approvalStatus-createdAt-index',
+            KeyConditionExpression: 'approvalStatus = :approved',
             FilterExpression: 'isActive = :isActive',
-            ExpressionAttributeValues: { ':isActive': true }
+            ExpressionAttributeValues: { ':isActive': true, ':approved': 'approved' }
         };
 
         if (status && RIDER_STATUSES.includes(status)) {
-            params.FilterExpression += ' AND #status = :status';
-            params.ExpressionAttributeNames = { '#status': 'status' };
-            params.ExpressionAttributeValues[':status'] = status;
+            query.FilterExpression += ' AND #status = :status';
+            query.ExpressionAttributeNames = { '#status': 'status' };
+            query.ExpressionAttributeValues[':status'] = status;
         }
 
-        const result = await dynamoDB.scan(params).promise();
+        const { items, nextCursor } = await queryPage({
+            query,
+            keyAttributes: ['id', 'approvalStatus', 'createdAt'],
+            limit,
+            cursor: req.query.cursor
+        });
 
         // Remove password from response
-        const riders = (result.Items || []).map(rider => {
+        const riders = items.map(rider => {
             const { password, ...riderWithoutPassword } = rider;
             return riderWithoutPassword;
         });
@@ -47,11 +68,19 @@ const getAllRiders = async (req, res) => {
             data: {
                 riders,
                 count: riders.length,
+                nextCursor,
                 statuses: RIDER_STATUSES
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Get all riders error:', error);
         res.status(500).json({
             success: false,
@@ -125,19 +154,19 @@ const createRider = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
+        const passwordError = validatePassword(password);
+        if (passwordError) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters'
+                message: passwordError
             });
         }
 
         // Hash password
-        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const hashedPassword = await hashPassword(password);
 
         // Generate unique ID
-        const id = `RDR${Date.now()}`;
+        const id = generateId('RDR');
 
         const rider = {
             id,
@@ -152,17 +181,14 @@ const createRider = async (req, res) => {
             totalDeliveries: 0,
             rating: 5.0,
             isActive: true,
+            approvalStatus: 'approved', // Admin-created riders need no review
             joinedAt: new Date().toISOString(),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
-        const params = {
-            TableName: RIDERS_TABLE,
-            Item: rider
-        };
-
-        await dynamoDB.put(params).promise();
+        // Fails with 409 if the phone already belongs to a rider
+        await createRiderAccount(rider);
 
         // Don't return password in response
         const { password: _, ...riderWithoutPassword } = rider;
@@ -174,6 +200,13 @@ const createRider = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Create rider error:', error);
         res.status(500).json({
             success: false,
@@ -207,6 +240,17 @@ const updateRider = async (req, res) => {
             });
         }
 
+        // Phone numbers are claimed in the rider phone index, so changes go through it
+        const phoneChanged = updates.phone && updates.phone !== existing.Item.phone;
+        if (phoneChanged) {
+            await changeRiderPhone(existing.Item, updates.phone);
+        }
+
+        // An inactive rider's phone may have been taken over by a new rider (see riderAccounts.js)
+        if (updates.isActive === true && existing.Item.isActive === false && !phoneChanged) {
+            await reclaimRiderPhone(existing.Item);
+        }
+
         // Build update expression
         let updateExpression = 'SET updatedAt = :updatedAt';
         const expressionAttributeValues = {
@@ -214,8 +258,13 @@ const updateRider = async (req, res) => {
         };
         const expressionAttributeNames = {};
 
+        // Passwords only change through the password endpoints (they must be hashed);
+        // push registration belongs to the rider's session (see updateFCMToken);
+        // the review outcome only changes through the application endpoints
+        const protectedKeys = ['id', 'phone', 'password', 'fcmToken', 'fcmSessionId', 'approvalStatus', 'reviewedBy', 'reviewedAt', 'rejectionReason'];
+
         Object.keys(updates).forEach((key) => {
-            if (key !== 'id') {
+            if (!protectedKeys.includes(key)) {
                 updateExpression += `, #${key} = :${key}`;
                 expressionAttributeNames[`#${key}`] = key;
                 expressionAttributeValues[`:${key}`] = updates[key];
@@ -226,20 +275,38 @@ const updateRider = async (req, res) => {
             TableName: RIDERS_TABLE,
             Key: { id },
             UpdateExpression: updateExpression,
-            ExpressionAttributeNames: expressionAttributeNames,
             ExpressionAttributeValues: expressionAttributeValues,
             ReturnValues: 'ALL_NEW'
         };
 
+        // DynamoDB rejects an empty ExpressionAttributeNames map (e.g. phone-only updates)
+        if (Object.keys(expressionAttributeNames).length > 0) {
+            updateParams.ExpressionAttributeNames = expressionAttributeNames;
+        }
+
         const result = await dynamoDB.update(updateParams).promise();
 
+        if (updates.isActive === false) {
+            await revokeAllSessions(`rider#${id}`, 'account_deactivated');
+        }
+
+        // Remove password from response
+        const { password, ...riderWithoutPassword } = result.Attributes;
+
         res.status(200).json({
             success: true,
             message: 'Rider updated successfully',
-            data: result.Attributes
+            data: riderWithoutPassword
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Update rider error:', error);
         res.status(500).json({
             success: false,
@@ -292,11 +359,11 @@ const updateRiderStatus = async (req, res) => {
             expressionAttributeValues[':currentOrderId'] = currentOrderId;
         }
 
-        // If available or offline, clear currentOrderId and increment deliveries if was on-delivery
+        // If available or offline, clear currentOrderId (deliveries are counted when the
+        // order itself is marked delivered, see syncRiderWithOrder in orderLifecycle.js)
         if ((status === 'available' || status === 'offline') && existing.Item.status === 'on-delivery') {
-            updateExpression += ', currentOrderId = :nullValue, totalDeliveries = totalDeliveries + :increment';
+            updateExpression += ', currentOrderId = :nullValue';
             expressionAttributeValues[':nullValue'] = null;
-            expressionAttributeValues[':increment'] = 1;
         }
 
         const params = {
@@ -328,6 +395,7 @@ const updateRiderStatus = async (req, res) => {
 
 /**
  * Delete rider (soft delete)
+ * The rider's phone number can then be taken by a new rider (see riderAccounts.js).
  * @route DELETE /api/riders/:id
  */
 const deleteRider = async (req, res) => {
@@ -347,6 +415,9 @@ const deleteRider = async (req, res) => {
 
         await dynamoDB.update(params).promise();
 
+        // Soft-deleted riders are logged out everywhere
+        await revokeAllSessions(`rider#${id}`, 'account_deleted');
+
         res.status(200).json({
             success: true,
             message: 'Rider deleted successfully'
@@ -370,8 +441,8 @@ const getRiderStats = async (req, res) => {
     try {
         const params = {
             TableName: RIDERS_TABLE,
-            FilterExpression: 'isActive = :isActive',
-            ExpressionAttributeValues: { ':isActive': true }
+            FilterExpression: `isActive = :isActive AND ${APPROVED_FILTER}`,
+            ExpressionAttributeValues: { ':isActive': true, ':approved': 'approved' }
         };
 
         const result = await dynamoDB.scan(params).promise();
@@ -411,11 +482,12 @@ const getAvailableRiders = async (req, res) => {
     try {
         const params = {
             TableName: RIDERS_TABLE,
-            FilterExpression: '#status = :status AND isActive = :isActive',
+            FilterExpression: `#status = :status AND isActive = :isActive AND ${APPROVED_FILTER}`,
             ExpressionAttributeNames: { '#status': 'status' },
             ExpressionAttributeValues: {
                 ':status': 'available',
-                ':isActive': true
+                ':isActive': true,
+                ':approved': 'approved'
             }
         };
 
@@ -439,6 +511,184 @@ const getAvailableRiders = async (req, res) => {
     }
 };
 
+/**
+ * Get rider applications (self-registered riders) by review state, oldest first
+ * Query: status? (default pending), limit?, cursor? (nextCursor of the previous page)
+ * @route GET /api/riders/applications
+ */
+const getRiderApplications = async (req, res) => {
+    try {
+        const { status = 'pending' } = req.query;
+
+        if (!APPROVAL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Valid: ' + APPROVAL_STATUSES.join(', ')
+            });
+        }
+
+        const limit = parseLimit(req.query.limit);
+
+        // Oldest applications first so they're reviewed in order
+        const { items, nextCursor } = await queryPage({
+            query: {
+                TableName: RIDERS_TABLE,
+                IndexName: 'approvalStatus-createdAt-index',
+                KeyConditionExpression: 'approvalStatus = :status',
+                ExpressionAttributeValues: { ':status': status },
+                ScanIndexForward: true
+            },
+            keyAttributes: ['id', 'approvalStatus', 'createdAt'],
+            limit,
+            cursor: req.query.cursor
+        });
+
+        const applications = items.map(({ password, fcmToken, ...rider }) => rider);
+
+        res.status(200).json({
+            success: true,
+            message: 'Rider applications fetched successfully',
+            data: {
+                applications,
+                count: applications.length,
+                nextCursor,
+                statuses: APPROVAL_STATUSES
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Get rider applications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rider applications',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Move a pending application to approved/rejected and notify the rider
+ */
+const reviewApplication = async (req, res, decision) => {
+    const { id } = req.params;
+    const reason = String((req.body || {}).reason || '').trim();
+
+    if (decision === 'rejected' && !reason) {
+        return res.status(400).json({
+            success: false,
+            message: 'A rejection reason is required'
+        });
+    }
+
+    let updateExpression = 'SET approvalStatus = :decision, reviewedBy = :reviewer, reviewedAt = :now, updatedAt = :now';
+    const expressionAttributeValues = {
+        ':decision': decision,
+        ':pending': 'pending',
+        ':reviewer': req.user.email,
+        ':now': new Date().toISOString()
+    };
+
+    if (decision === 'rejected') {
+        updateExpression += ', rejectionReason = :reason';
+        expressionAttributeValues[':reason'] = reason;
+    }
+
+    let rider;
+    try {
+        const result = await dynamoDB.update({
+            TableName: RIDERS_TABLE,
+            Key: { id },
+            UpdateExpression: updateExpression,
+            ConditionExpression: 'approvalStatus = :pending',
+            ExpressionAttributeValues: expressionAttributeValues,
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        rider = result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending application found for this rider'
+            });
+        }
+        throw error;
+    }
+
+    await recordAuditEvent({
+        type: `rider_${decision}`,
+        actor: req.user.email,
+        target: `rider#${id}`,
+        ip: req.ip,
+        details: decision === 'rejected' ? { reason } : {}
+    });
+
+    // Notification is best-effort; the decision is already stored
+    if (rider.fcmToken) {
+        try {
+            const { sendNotificationToRider } = require('./firebaseService');
+            await sendNotificationToRider(
+                rider.fcmToken,
+                decision === 'approved' ? 'Application approved! 🎉' : 'Application update',
+                decision === 'approved'
+                    ? 'Your rider account is active. You can now log in and start delivering.'
+                    : `Your rider application was not approved: ${reason}`,
+                { type: `rider_application_${decision}`, riderId: id }
+            );
+        } catch (notificationError) {
+            console.error('❌ Rider application notification error (non-blocking):', notificationError.message);
+        }
+    }
+
+    const { password, fcmToken, ...riderWithoutSecrets } = rider;
+
+    res.status(200).json({
+        success: true,
+        message: `Rider application ${decision}`,
+        data: riderWithoutSecrets
+    });
+};
+
+/**
+ * Approve a rider application
+ * @route PATCH /api/riders/applications/:id/approve
+ */
+const approveRiderApplication = async (req, res) => {
+    try {
+        await reviewApplication(req, res, 'approved');
+    } catch (error) {
+        console.error('Approve rider application error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve application',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Reject a rider application (reason required)
+ * @route PATCH /api/riders/applications/:id/reject
+ */
+const rejectRiderApplication = async (req, res) => {
+    try {
+        await reviewApplication(req, res, 'rejected');
+    } catch (error) {
+        console.error('Reject rider application error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject application',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
 module.exports = {
     getAllRiders,
     getRiderById,
@@ -447,5 +697,8 @@ module.exports = {
     updateRiderStatus,
     deleteRider,
     getRiderStats,
-    getAvailableRiders
+    getAvailableRiders,
+    getRiderApplications,
+    approveRiderApplication,
+    rejectRiderApplication
 };
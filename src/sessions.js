@@ -0,0 +1,205 @@
+const {
+    getSessionSubject,
+    rotateRefreshToken,
+    getSessionByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+} = require('./tokenService');
+
+/**
+ * Public view of a session for the device list (no token hashes or claims)
+ */
+const describeSession = (session, currentSessionId) => ({
+    id: session.id,
+    deviceName: session.deviceName || 'Unknown device',
+    platform: session.platform || 'unknown',
+    userAgent: session.userAgent || null,
+    ip: session.ip || null,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt || session.updatedAt,
+    expiresAt: session.expiresAt,
+    hasPushToken: !!session.fcmToken,
+    current: session.id === currentSessionId
+});
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ */
+const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const tokens = await rotateRefreshToken(refreshToken, req.ip);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: tokens
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Log out the session a refresh token belongs to
+ * Pass allDevices: true to end every session of the account
+ * @route POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken, allDevices } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const session = await getSessionByRefreshToken(refreshToken);
+
+        // Unknown or already-rotated tokens are treated as logged out
+        if (session) {
+            if (allDevices === true) {
+                await revokeAllSessions(session.subject, 'logout_all');
+            } else {
+                await revokeSession(session.id, 'logout');
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * List the devices currently signed in to the caller's account
+ * @route GET /api/auth/sessions
+ */
+const getMySessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(getSessionSubject(req.user));
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions
+                .map(session => describeSession(session, req.user.sid))
+                .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Sign out one device of the caller's account
+ * @route DELETE /api/auth/sessions/:id
+ */
+const revokeMySession = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const sessions = await listSessions(getSessionSubject(req.user));
+
+        // Only sessions of the caller's own account can be revoked
+        if (!sessions.some(session => session.id === id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(id, id === req.user.sid ? 'logout' : 'revoked_by_user');
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+/**
+ * Sign out every device of the caller's account
+ * Pass ?keepCurrent=true to stay signed in on the calling device.
+ * @route DELETE /api/auth/sessions
+ */
+const revokeMySessions = async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+
+        const revoked = await revokeAllSessions(
+            getSessionSubject(req.user),
+            'logout_all',
+            keepCurrent ? { exceptSessionId: req.user.sid } : {}
+        );
+
+        res.status(200).json({
+            success: true,
+            message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+            data: { revoked }
+        });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions',
+            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        });
+    }
+};
+
+module.exports = {
+    refreshSession,
+    logout,
+    getMySessions,
+    revokeMySession,
+    revokeMySessions
+};
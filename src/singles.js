@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { putWithUniqueId } = require('./ids');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -209,29 +210,23 @@ const createSingle = async (req, res) => {
             });
         }
 
-        // Generate unique ID
-        const id = `SNG${Date.now()}`;
-
-        const singleItem = {
-            id,
-            type: 'single',
-            name,
-            description: description || '',
-            price: parseFloat(price),
-            category,
-            image: image || 'https://via.placeholder.com/400',
-            isVisible: isVisible !== false,
-            isActive: true,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        const params = {
+        const singleItem = await putWithUniqueId({
             TableName: MENU_TABLE,
-            Item: singleItem
-        };
-
-        await dynamoDB.put(params).promise();
+            prefix: 'SNG',
+            build: (id) => ({
+                id,
+                type: 'single',
+                name,
+                description: description || '',
+                price: parseFloat(price),
+                category,
+                image: image || 'https://via.placeholder.com/400',
+                isVisible: isVisible !== false,
+                isActive: true,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            })
+        });
 
         res.status(201).json({
             success: true,
@@ -428,6 +423,7 @@ const getCategories = async (req, res) => {
 };
 
 module.exports = {
+    VALID_CATEGORIES,
     getAllSingles,
     getSinglesByCategory,
     getSingleById,
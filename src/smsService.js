@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMS transports
+ * Each factory returns an object with `send(phone, message)` returning a Promise.
+ * Pick one with SMS_PROVIDER. Real gateways plug in via registerTransport().
+ * The stub transports (console, file) never deliver anything, so they are refused outside
+ * development, and SMS_PROVIDER only defaults to "console" there.
+ */
+const transports = {
+    // Logs messages to stdout - local development only
+    console: () => ({
+        send: async (phone, message) => {
+            console.log(`📱 [SMS → ${phone}] ${message}`);
+            return { provider: 'console', delivered: true };
+        }
+    }),
+
+    // Appends messages as JSON lines to SMS_OUTBOX_FILE - handy for manual testing
+    file: () => {
+        const outbox = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'tmp', 'sms-outbox.log');
+        return {
+            send: async (phone, message) => {
+                await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+                await fs.promises.appendFile(
+                    outbox,
+                    JSON.stringify({ phone, message, sentAt: new Date().toISOString() }) + '\n'
+                );
+                return { provider: 'file', delivered: true };
+            }
+        };
+    }
+};
+
+// Transports that only pretend to send
+const STUB_TRANSPORTS = ['console', 'file'];
+
+let activeTransport = null;
+
+/**
+ * Register an SMS transport factory under a name usable in SMS_PROVIDER
+ */
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    activeTransport = null;
+};
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const isDevelopment = process.env.NODE_ENV === 'development';
+        const name = process.env.SMS_PROVIDER || (isDevelopment ? 'console' : null);
+
+        if (!name) {
+            throw new Error('SMS_PROVIDER must be set outside development');
+        }
+
+        const factory = transports[name];
+
+        if (!factory) {
+            throw new Error(`Unknown SMS_PROVIDER "${name}". Available: ${Object.keys(transports).join(', ')}`);
+        }
+
+        if (STUB_TRANSPORTS.includes(name) && !isDevelopment) {
+            throw new Error(`SMS_PROVIDER "${name}" does not deliver messages and is only allowed in development`);
+        }
+
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+/**
+ * Send an SMS through the configured transport
+ * @param {string} phone - 10 digit phone number
+ * @param {string} message
+ */
+const sendSms = async (phone, message) => {
+    return getTransport().send(phone, message);
+};
+
+module.exports = {
+    registerTransport,
+    sendSms
+};
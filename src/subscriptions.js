@@ -0,0 +1,1096 @@
+const AWS = require('aws-sdk');
+const { resolveOrderAddress } = require('./addresses');
+const { priceOrder } = require('./pricing');
+const { placeOrder } = require('./orders');
+const { MEAL_SLOTS, resolveDeliverySlot } = require('./orderSchedule');
+const { COUNTERS_TABLE, putWithUniqueId } = require('./ids');
+const { isPrepaidOrder } = require('./refunds');
+const { resolvePaymentMethod } = require('./payments');
+const { WEEKDAYS, getIstDateString, getIstWeekday, isValidDateString } = require('./ist');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const SUBSCRIPTIONS_TABLE = process.env.DYNAMODB_SUBSCRIPTIONS_TABLE || 'satvamirtham-subscriptions';
+const USERS_TABLE = process.env.DYNAMODB_TABLE;
+const MENU_TABLE = process.env.DYNAMODB_MENU_TABLE;
+
+// Statements are per calendar week (Monday-Sunday) or calendar month
+const BILLING_CYCLES = ['weekly', 'monthly'];
+
+// active/paused subscriptions generate orders; cancelled and ended ones don't
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'cancelled', 'ended'];
+const LIVE_STATUSES = ['active', 'paused'];
+
+// Orders are generated this many days before delivery (then wait as scheduled pre-orders)
+const GENERATE_DAYS_AHEAD = parseInt(process.env.SUBSCRIPTION_GENERATE_DAYS_AHEAD) || 1;
+
+const MAX_START_DAYS_AHEAD = 30;
+const MAX_PLAN_DAYS = 366;
+const MAX_QUANTITY = 10;
+const MAX_SKIPPED_DATES = 60;
+
+// Default window for "upcoming deliveries" in listings
+const UPCOMING_DAYS = 7;
+
+// Per-meal generation claims (COUNTERS_TABLE) are kept this long, then expire via TTL
+const CLAIM_RETENTION_DAYS = 60;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const subscriptionError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => {
+    return Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / (24 * 60 * 60 * 1000));
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate and normalize the plan part of a request body
+ * @returns {{mealTypes: string[], days: string[], startDate: string, endDate: string|null, billingCycle: string, quantity: number}}
+ */
+const validatePlan = (body, today = getIstDateString()) => {
+    const { mealTypes, days, startDate, endDate, billingCycle, quantity } = body;
+
+    if (!Array.isArray(mealTypes) || mealTypes.length === 0 || mealTypes.some(type => !MEAL_SLOTS.includes(type))) {
+        throw subscriptionError('Choose at least one meal type. Valid: ' + MEAL_SLOTS.join(', '));
+    }
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+        throw subscriptionError('Choose at least one day. Valid: ' + WEEKDAYS.join(', '));
+    }
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+        throw subscriptionError('Invalid billing cycle. Valid: ' + BILLING_CYCLES.join(', '));
+    }
+
+    if (!isValidDateString(startDate)) {
+        throw subscriptionError('Start date must be a valid date (YYYY-MM-DD)');
+    }
+    if (startDate <= today) {
+        throw subscriptionError('Subscriptions can start tomorrow at the earliest');
+    }
+    if (startDate > addDays(today, MAX_START_DAYS_AHEAD)) {
+        throw subscriptionError(`Subscriptions must start within ${MAX_START_DAYS_AHEAD} days`);
+    }
+
+    if (endDate !== undefined && endDate !== null) {
+        if (!isValidDateString(endDate) || endDate < startDate) {
+            throw subscriptionError('End date must be a valid date on or after the start date');
+        }
+        if (daysBetween(startDate, endDate) > MAX_PLAN_DAYS) {
+            throw subscriptionError(`A subscription can run for at most ${MAX_PLAN_DAYS} days; renew it after that`);
+        }
+    }
+
+    const mealQuantity = quantity === undefined ? 1 : Number(quantity);
+    if (!Number.isInteger(mealQuantity) || mealQuantity < 1 || mealQuantity > MAX_QUANTITY) {
+        throw subscriptionError(`Quantity must be between 1 and ${MAX_QUANTITY}`);
+    }
+
+    return {
+        mealTypes: MEAL_SLOTS.filter(type => mealTypes.includes(type)),
+        days: WEEKDAYS.filter(day => days.includes(day)),
+        startDate,
+        endDate: endDate || null,
+        billingCycle,
+        quantity: mealQuantity
+    };
+};
+
+/**
+ * Active packages by "day#mealType"
+ * When several packages run in the same slot, the oldest (the kitchen's regular one) is used.
+ */
+const loadSlotPackages = async () => {
+    const packages = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: MENU_TABLE,
+            FilterExpression: '#type = :type AND isActive = :true',
+            ExpressionAttributeNames: { '#type': 'type' },
+            ExpressionAttributeValues: { ':type': 'package', ':true': true },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        packages.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    const bySlot = new Map();
+    packages
+        .filter(item => item.isVisible !== false)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach((item) => {
+            const key = `${item.day}#${item.mealType}`;
+            if (!bySlot.has(key)) {
+                bySlot.set(key, item);
+            }
+        });
+
+    return bySlot;
+};
+
+const isPausedOn = (subscription, date) => {
+    const pause = subscription.pause;
+    return Boolean(pause) && date >= pause.from && (!pause.until || date <= pause.until);
+};
+
+/**
+ * Delivery dates of a subscription between two IST dates (inclusive)
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreChanges] - ignore plan bounds, skips and pauses (a full cycle, for proration)
+ */
+const deliveryDatesBetween = (subscription, from, to, { ignoreChanges = false } = {}) => {
+    const first = ignoreChanges || from > subscription.startDate ? from : subscription.startDate;
+    const last = ignoreChanges || !subscription.endDate || to < subscription.endDate ? to : subscription.endDate;
+    const skipped = subscription.skippedDates || [];
+    const dates = [];
+
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+        if (!subscription.days.includes(getIstWeekday(date))) {
+            continue;
+        }
+        if (!ignoreChanges && (skipped.includes(date) || isPausedOn(subscription, date))) {
+            continue;
+        }
+        dates.push(date);
+    }
+
+    return dates;
+};
+
+/**
+ * Per-delivery price of each package at the subscription's quantity (tax and fees included)
+ */
+const createDeliveryPricer = (subscription) => {
+    const cache = new Map();
+    return async (item) => {
+        if (!cache.has(item.id)) {
+            cache.set(item.id, priceOrder([{ id: item.id, quantity: subscription.quantity }]));
+        }
+        return cache.get(item.id);
+    };
+};
+
+/**
+ * Price each delivery (date x meal type) in a list of dates
+ * Slots with no active package are listed as unavailable and not charged.
+ */
+const priceDeliveries = async (subscription, dates, packages, pricer = createDeliveryPricer(subscription)) => {
+    const deliveries = [];
+    const unavailable = [];
+
+    for (const date of dates) {
+        const weekday = getIstWeekday(date);
+        for (const mealType of subscription.mealTypes) {
+            const item = packages.get(`${weekday}#${mealType}`);
+            if (!item) {
+                unavailable.push({ date, mealType });
+                continue;
+            }
+            const priced = await pricer(item);
+            deliveries.push({
+                date,
+                mealType,
+                packageId: item.id,
+                packageName: item.name,
+                amount: priced.pricing.total
+            });
+        }
+    }
+
+    return {
+        deliveries,
+        unavailable,
+        amount: roundMoney(deliveries.reduce((sum, delivery) => sum + delivery.amount, 0))
+    };
+};
+
+/**
+ * First and last IST date of the billing cycle containing `date`
+ */
+const getCycleBounds = (billingCycle, date) => {
+    if (billingCycle === 'monthly') {
+        const start = `${date.slice(0, 8)}01`;
+        return { start, end: addDays(`${addDays(start, 32).slice(0, 8)}01`, -1) };
+    }
+    const weekdayIndex = (WEEKDAYS.indexOf(getIstWeekday(date)) + 6) % 7; // Monday = 0
+    const start = addDays(date, -weekdayIndex);
+    return { start, end: addDays(start, 6) };
+};
+
+/**
+ * Amount due for the billing cycle containing `date`
+ * Prorated: only deliveries inside the plan dates that aren't skipped or paused are charged;
+ * `credit` is what those gaps save against a full cycle.
+ */
+const buildCycleStatement = async (subscription, date, packages) => {
+    const { start, end } = getCycleBounds(subscription.billingCycle, date);
+    const pricer = createDeliveryPricer(subscription);
+
+    const full = await priceDeliveries(
+        subscription,
+        deliveryDatesBetween(subscription, start, end, { ignoreChanges: true }),
+        packages,
+        pricer
+    );
+    const due = await priceDeliveries(subscription, deliveryDatesBetween(subscription, start, end), packages, pricer);
+
+    return {
+        billingCycle: subscription.billingCycle,
+        cycleStart: start,
+        cycleEnd: end,
+        fullCycleAmount: full.amount,
+        amount: due.amount,
+        credit: roundMoney(full.amount - due.amount),
+        prorated: due.amount !== full.amount,
+        deliveries: due.deliveries,
+        unavailable: due.unavailable
+    };
+};
+
+/**
+ * The subscription with its current billing cycle and upcoming deliveries
+ */
+const describeSubscription = async (subscription, packages) => {
+    const today = getIstDateString();
+    const from = subscription.startDate > today ? subscription.startDate : today;
+    const upcoming = LIVE_STATUSES.includes(subscription.status)
+        ? await priceDeliveries(subscription, deliveryDatesBetween(subscription, addDays(today, 1), addDays(today, UPCOMING_DAYS)), packages)
+        : { deliveries: [], unavailable: [] };
+
+    return {
+        ...subscription,
+        currentCycle: LIVE_STATUSES.includes(subscription.status)
+            ? await buildCycleStatement(subscription, from, packages)
+            : null,
+        upcomingDeliveries: upcoming.deliveries
+    };
+};
+
+const listCustomerSubscriptions = async (phone) => {
+    const subscriptions = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.query({
+            TableName: SUBSCRIPTIONS_TABLE,
+            IndexName: 'customerPhone-index',
+            KeyConditionExpression: 'customerPhone = :phone',
+            ExpressionAttributeValues: { ':phone': phone },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        subscriptions.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return subscriptions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * A subscription belonging to the given customer, or null
+ */
+const getCustomerSubscription = async (phone, id) => {
+    const result = await dynamoDB.get({
+        TableName: SUBSCRIPTIONS_TABLE,
+        Key: { id }
+    }).promise();
+
+    const subscription = result.Item;
+    return subscription && subscription.customerPhone === phone ? subscription : null;
+};
+
+/**
+ * Orders for dates up to generatedThrough already exist (and generatingDate is being generated),
+ * so changes only apply after them
+ */
+const firstChangeableDate = (subscription) => {
+    const tomorrow = addDays(getIstDateString(), 1);
+    const locked = [subscription.generatedThrough, subscription.generatingDate].filter(Boolean).sort().pop();
+    const afterGenerated = locked ? addDays(locked, 1) : tomorrow;
+    return afterGenerated > tomorrow ? afterGenerated : tomorrow;
+};
+
+// Neither generated nor being generated on :day
+const NOT_GENERATED_CONDITION = '(attribute_not_exists(generatedThrough) OR generatedThrough = :null OR generatedThrough < :day)'
+    + ' AND (attribute_not_exists(generatingDate) OR generatingDate = :null OR generatingDate < :day)';
+
+/**
+ * Apply an update to a live subscription of the customer
+ * @returns {Promise<Object>} updated subscription
+ */
+const updateLiveSubscription = async (subscription, { UpdateExpression, ExpressionAttributeValues = {}, ConditionExpression }) => {
+    try {
+        const result = await dynamoDB.update({
+            TableName: SUBSCRIPTIONS_TABLE,
+            Key: { id: subscription.id },
+            UpdateExpression: `${UpdateExpression}, updatedAt = :now`,
+            ConditionExpression: ['#status IN (:active, :paused)', ConditionExpression].filter(Boolean).join(' AND '),
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ...ExpressionAttributeValues,
+                ':active': 'active',
+                ':paused': 'paused',
+                ':now': new Date().toISOString()
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        return result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            throw subscriptionError('Subscription was changed meanwhile or is no longer active. Please refresh and try again.', 409);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Relay service errors (error.status) or answer 500
+ */
+const sendError = (res, error, message, logLabel) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${logLabel} error:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+};
+
+const subscriptionNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Subscription not found'
+});
+
+/**
+ * Price a plan before subscribing: the first (prorated) billing cycle and a full cycle
+ * @route POST /api/me/subscriptions/quote
+ */
+const quoteSubscription = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const plan = validatePlan(body);
+        const packages = await loadSlotPackages();
+
+        res.status(200).json({
+            success: true,
+            data: await buildCycleStatement(plan, plan.startDate, packages)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to price subscription', 'Quote subscription');
+    }
+};
+
+/**
+ * Subscribe to regular meals
+ * Body: { mealTypes, days, startDate, endDate?, billingCycle, quantity?, addressId, paymentMethod? }
+ * Generated orders have no one to pay them online, so subscriptions are paid on delivery.
+ * @route POST /api/me/subscriptions
+ */
+const createSubscription = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const plan = validatePlan(body);
+        const { addressId } = body;
+        const paymentMethod = resolvePaymentMethod(body.paymentMethod);
+
+        if (isPrepaidOrder({ paymentMethod })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Subscriptions are paid on delivery. Choose Cash or COD.'
+            });
+        }
+
+        if (!addressId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A delivery address is required'
+            });
+        }
+
+        const address = await resolveOrderAddress(req.user.phone, addressId);
+        if (!address) {
+            return res.status(400).json({
+                success: false,
+                message: 'Delivery address not found'
+            });
+        }
+
+        const packages = await loadSlotPackages();
+        const served = plan.days.some(day => plan.mealTypes.some(mealType => packages.has(`${day}#${mealType}`)));
+        if (!served) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the chosen days and meal types have a package on the menu'
+            });
+        }
+
+        const userResult = await dynamoDB.get({
+            TableName: USERS_TABLE,
+            Key: { phone: req.user.phone }
+        }).promise();
+        const user = userResult.Item || {};
+
+        if (user.deletionScheduledFor) {
+            return res.status(409).json({
+                success: false,
+                message: 'This account is scheduled for deletion. Cancel the deletion request to subscribe.'
+            });
+        }
+
+        const now = new Date().toISOString();
+        const subscription = await putWithUniqueId({
+            TableName: SUBSCRIPTIONS_TABLE,
+            prefix: 'SUB',
+            build: (id) => ({
+                id,
+                customerPhone: req.user.phone,
+                customerName: user.name || '',
+                customerEmail: user.email || '',
+                ...plan,
+                addressId,
+                deliveryAddress: address,
+                paymentMethod,
+                status: 'active',
+                pause: null,
+                skippedDates: [],
+                generatedThrough: null,
+                createdAt: now,
+                updatedAt: now
+            })
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Subscription created successfully',
+            data: await describeSubscription(subscription, packages)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create subscription', 'Create subscription');
+    }
+};
+
+/**
+ * List the logged-in customer's subscriptions
+ * @route GET /api/me/subscriptions
+ */
+const getMySubscriptions = async (req, res) => {
+    try {
+        const subscriptions = await listCustomerSubscriptions(req.user.phone);
+
+        res.status(200).json({
+            success: true,
+            count: subscriptions.length,
+            data: subscriptions
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch subscriptions', 'Get subscriptions');
+    }
+};
+
+/**
+ * One subscription with its current billing cycle and upcoming deliveries
+ * @route GET /api/me/subscriptions/:id
+ */
+const getMySubscription = async (req, res) => {
+    try {
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await describeSubscription(subscription, await loadSlotPackages())
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch subscription', 'Get subscription');
+    }
+};
+
+/**
+ * Skip one delivery day (all meal types that day); the cycle amount is prorated
+ * Body: { date }
+ * @route POST /api/me/subscriptions/:id/skip
+ */
+const skipSubscriptionDate = async (req, res) => {
+    try {
+        const { date } = req.body || {};
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                message: 'A date is required'
+            });
+        }
+
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        if (!isValidDateString(date) || deliveryDatesBetween(subscription, date, date).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'That date is not an upcoming delivery day of this subscription'
+            });
+        }
+        if (date < firstChangeableDate(subscription)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The order for that day has already been placed. Cancel the order instead.'
+            });
+        }
+        if ((subscription.skippedDates || []).length >= MAX_SKIPPED_DATES) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${MAX_SKIPPED_DATES} days can be skipped`
+            });
+        }
+
+        const updated = await updateLiveSubscription(subscription, {
+            UpdateExpression: 'SET skippedDates = list_append(if_not_exists(skippedDates, :empty), :date)',
+            ConditionExpression: NOT_GENERATED_CONDITION,
+            ExpressionAttributeValues: { ':empty': [], ':date': [date], ':day': date, ':null': null }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Deliveries on ${date} skipped`,
+            data: await describeSubscription(updated, await loadSlotPackages())
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to skip delivery', 'Skip subscription date');
+    }
+};
+
+/**
+ * Undo a skipped day
+ * @route DELETE /api/me/subscriptions/:id/skip/:date
+ */
+const unskipSubscriptionDate = async (req, res) => {
+    try {
+        const { date } = req.params;
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        const skippedDates = subscription.skippedDates || [];
+        if (!skippedDates.includes(date)) {
+            return res.status(404).json({
+                success: false,
+                message: 'That date is not skipped'
+            });
+        }
+        if (date < firstChangeableDate(subscription)) {
+            return res.status(409).json({
+                success: false,
+                message: 'It is too late to restore deliveries on that day'
+            });
+        }
+
+        const updated = await updateLiveSubscription(subscription, {
+            UpdateExpression: 'SET skippedDates = :skipped',
+            ConditionExpression: 'updatedAt = :expectedUpdatedAt',
+            ExpressionAttributeValues: {
+                ':skipped': skippedDates.filter(skipped => skipped !== date),
+                ':expectedUpdatedAt': subscription.updatedAt
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Deliveries on ${date} restored`,
+            data: await describeSubscription(updated, await loadSlotPackages())
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to restore delivery', 'Unskip subscription date');
+    }
+};
+
+/**
+ * Pause deliveries from a date (default: the first date not yet generated), optionally until a date
+ * Body: { from?, until? }
+ * @route POST /api/me/subscriptions/:id/pause
+ */
+const pauseSubscription = async (req, res) => {
+    try {
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        const body = req.body || {};
+        const earliest = firstChangeableDate(subscription);
+        const from = body.from || earliest;
+        const until = body.until || null;
+
+        if (!isValidDateString(from) || (until && (!isValidDateString(until) || until < from))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pause dates must be valid dates (YYYY-MM-DD), with until on or after from'
+            });
+        }
+        if (from < earliest) {
+            return res.status(409).json({
+                success: false,
+                message: `Orders up to ${addDays(earliest, -1)} have already been placed. Pause from ${earliest} or later.`
+            });
+        }
+
+        const updated = await updateLiveSubscription(subscription, {
+            UpdateExpression: 'SET #status = :paused, pause = :pause',
+            ConditionExpression: NOT_GENERATED_CONDITION,
+            ExpressionAttributeValues: { ':pause': { from, until, pausedAt: new Date().toISOString() }, ':day': from, ':null': null }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: until ? `Subscription paused from ${from} until ${until}` : `Subscription paused from ${from}`,
+            data: await describeSubscription(updated, await loadSlotPackages())
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to pause subscription', 'Pause subscription');
+    }
+};
+
+/**
+ * End a pause; deliveries resume from the next date not yet generated
+ * @route POST /api/me/subscriptions/:id/resume
+ */
+const resumeSubscription = async (req, res) => {
+    try {
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        if (subscription.status !== 'paused') {
+            return res.status(409).json({
+                success: false,
+                message: 'Subscription is not paused'
+            });
+        }
+
+        const updated = await updateLiveSubscription(subscription, {
+            UpdateExpression: 'SET #status = :active, pause = :null',
+            ExpressionAttributeValues: { ':null': null }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Subscription resumed',
+            data: await describeSubscription(updated, await loadSlotPackages())
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to resume subscription', 'Resume subscription');
+    }
+};
+
+/**
+ * Stop a subscription; orders already placed from it are kept (cancel them individually)
+ * @route POST /api/me/subscriptions/:id/cancel
+ */
+const cancelSubscription = async (req, res) => {
+    try {
+        const subscription = await getCustomerSubscription(req.user.phone, req.params.id);
+        if (!subscription) {
+            return subscriptionNotFound(res);
+        }
+
+        const updated = await updateLiveSubscription(subscription, {
+            UpdateExpression: 'SET #status = :cancelled, cancelledAt = :now',
+            ExpressionAttributeValues: { ':cancelled': 'cancelled' }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: subscription.generatedThrough
+                ? `Subscription cancelled. Orders up to ${subscription.generatedThrough} were already placed and can be cancelled from your orders.`
+                : 'Subscription cancelled',
+            data: updated
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel subscription', 'Cancel subscription');
+    }
+};
+
+/**
+ * List subscriptions with upcoming delivery counts, plus meals per day and meal type
+ * Query: status, days (window for upcoming deliveries, default 7)
+ * @route GET /api/subscriptions
+ */
+const getAllSubscriptions = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const days = Math.min(Math.max(parseInt(req.query.days) || UPCOMING_DAYS, 1), 31);
+
+        const params = { TableName: SUBSCRIPTIONS_TABLE };
+        if (status && SUBSCRIPTION_STATUSES.includes(status)) {
+            params.FilterExpression = '#status = :status';
+            params.ExpressionAttributeNames = { '#status': 'status' };
+            params.ExpressionAttributeValues = { ':status': status };
+        }
+
+        const subscriptions = [];
+        let lastKey;
+        do {
+            const result = await dynamoDB.scan({ ...params, ExclusiveStartKey: lastKey }).promise();
+            subscriptions.push(...(result.Items || []));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+
+        const from = addDays(getIstDateString(), 1);
+        const to = addDays(from, days - 1);
+        const mealsByDate = {};
+
+        const data = subscriptions
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map((subscription) => {
+                const dates = LIVE_STATUSES.includes(subscription.status)
+                    ? deliveryDatesBetween(subscription, from, to)
+                    : [];
+
+                dates.forEach((date) => {
+                    mealsByDate[date] = mealsByDate[date] || {};
+                    subscription.mealTypes.forEach((mealType) => {
+                        mealsByDate[date][mealType] = (mealsByDate[date][mealType] || 0) + subscription.quantity;
+                    });
+                });
+
+                return {
+                    ...subscription,
+                    upcomingDeliveries: dates.length * subscription.mealTypes.length,
+                    nextDeliveryDate: dates[0] || null
+                };
+            });
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            window: { from, to },
+            mealsByDate,
+            data
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch subscriptions', 'Get all subscriptions');
+    }
+};
+
+/**
+ * Claim one meal of a generation run (COUNTERS_TABLE), so each meal is ordered at most once
+ * A failed claim can be taken again by a later run.
+ * @returns {Promise<Object|null>} null when claimed, else the existing claim
+ */
+const claimMeal = async (claimId, now) => {
+    try {
+        await dynamoDB.put({
+            TableName: COUNTERS_TABLE,
+            Item: {
+                id: claimId,
+                status: 'pending',
+                claimedAt: now.toISOString(),
+                ttl: Math.floor(now.getTime() / 1000) + CLAIM_RETENTION_DAYS * 24 * 60 * 60
+            },
+            ConditionExpression: 'attribute_not_exists(id) OR #status = :failed',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':failed': 'failed' }
+        }).promise();
+        return null;
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+
+    const result = await dynamoDB.get({
+        TableName: COUNTERS_TABLE,
+        Key: { id: claimId }
+    }).promise();
+    return result.Item || { status: 'pending' };
+};
+
+const settleMealClaim = (claimId, fields) => {
+    const names = {};
+    const values = {};
+    const sets = Object.entries(fields).map(([attr, value], i) => {
+        names[`#a${i}`] = attr;
+        values[`:v${i}`] = value;
+        return `#a${i} = :v${i}`;
+    });
+
+    return dynamoDB.update({
+        TableName: COUNTERS_TABLE,
+        Key: { id: claimId },
+        UpdateExpression: `SET ${sets.join(', ')}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    }).promise();
+};
+
+/**
+ * Mark a date as generated; orders placed from it stay even if the subscription ended meanwhile
+ */
+const markGenerated = (subscriptionId, date) => {
+    return dynamoDB.update({
+        TableName: SUBSCRIPTIONS_TABLE,
+        Key: { id: subscriptionId },
+        UpdateExpression: 'SET generatedThrough = :date, updatedAt = :now',
+        ConditionExpression: 'attribute_not_exists(generatedThrough) OR generatedThrough = :null OR generatedThrough < :date',
+        ExpressionAttributeValues: { ':date': date, ':null': null, ':now': new Date().toISOString() }
+    }).promise().catch((error) => {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    });
+};
+
+/**
+ * Create the orders of one subscription for one date
+ * Locks the date first (generatingDate), so skips and pauses can no longer change it, then claims
+ * and orders each meal. generatedThrough only moves to the date once every meal is ordered; if
+ * any meal fails the date stays open and a later run retries just the meals that were not placed.
+ * @returns {Promise<{orders: Array<Object>, missing: Array<string>}>} orders placed and meal types with no package
+ * @throws {Error} when a meal could not be ordered (after trying the others)
+ */
+const generateOrdersForDate = async (subscription, date, packages) => {
+    let current;
+    try {
+        const result = await dynamoDB.update({
+            TableName: SUBSCRIPTIONS_TABLE,
+            Key: { id: subscription.id },
+            UpdateExpression: 'SET generatingDate = :date, updatedAt = :now',
+            ConditionExpression: '#status IN (:active, :paused) AND (attribute_not_exists(generatedThrough) OR generatedThrough = :null OR generatedThrough < :date)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':date': date,
+                ':null': null,
+                ':active': 'active',
+                ':paused': 'paused',
+                ':now': new Date().toISOString()
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        current = result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return { orders: [], missing: [] };
+        }
+        throw error;
+    }
+
+    // Skipped or paused after the caller read it
+    if (deliveryDatesBetween(current, date, date).length === 0) {
+        await markGenerated(current.id, date);
+        return { orders: [], missing: [] };
+    }
+
+    // Follow address-book edits; fall back to the address saved with the subscription
+    const address = await resolveOrderAddress(current.customerPhone, current.addressId)
+        || current.deliveryAddress;
+
+    const orders = [];
+    const missing = [];
+    const failures = [];
+    const weekday = getIstWeekday(date);
+
+    for (const mealType of current.mealTypes) {
+        const item = packages.get(`${weekday}#${mealType}`);
+        if (!item) {
+            missing.push(mealType);
+            continue;
+        }
+
+        const claimId = `subscriptions#${current.id}#${date}#${mealType}`;
+        const existing = await claimMeal(claimId, new Date());
+        if (existing) {
+            if (existing.status !== 'placed') {
+                failures.push(`${mealType}: already being generated`);
+            }
+            continue;
+        }
+
+        try {
+            const priced = await priceOrder([{ id: item.id, quantity: current.quantity }]);
+            const order = await placeOrder({
+                priced,
+                customer: {
+                    name: current.customerName,
+                    phone: current.customerPhone,
+                    email: current.customerEmail || '',
+                    address: address.formatted
+                },
+                deliveryAddress: address,
+                slot: resolveDeliverySlot({ deliveryDate: date, mealSlot: mealType, items: priced.items }),
+                paymentMethod: current.paymentMethod,
+                notes: 'Subscription delivery',
+                user: null,
+                extra: { subscriptionId: current.id }
+            });
+            orders.push(order);
+            await settleMealClaim(claimId, { status: 'placed', orderId: order.id, settledAt: new Date().toISOString() });
+        } catch (error) {
+            failures.push(`${mealType}: ${error.message}`);
+            await settleMealClaim(claimId, { status: 'failed', error: error.message, settledAt: new Date().toISOString() })
+                .catch(claimError => console.error(`Subscription ${current.id}: could not release ${mealType} claim for ${date}:`, claimError.message));
+        }
+    }
+
+    if (failures.length > 0) {
+        const error = new Error(failures.join('; '));
+        error.orders = orders;
+        throw error;
+    }
+
+    await markGenerated(current.id, date);
+    return { orders, missing };
+};
+
+/**
+ * Generate subscription orders for a delivery date (default: SUBSCRIPTION_GENERATE_DAYS_AHEAD from today)
+ * Also marks subscriptions past their end date as ended.
+ * @returns {Promise<{date: string, ordersCreated: number, generated: Array, missing: Array, failed: Array, ended: number}>}
+ */
+const generateSubscriptionOrders = async (date = addDays(getIstDateString(), GENERATE_DAYS_AHEAD)) => {
+    const today = getIstDateString();
+    const subscriptions = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.scan({
+            TableName: SUBSCRIPTIONS_TABLE,
+            FilterExpression: '#status IN (:active, :paused)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':active': 'active', ':paused': 'paused' },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        subscriptions.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    const packages = await loadSlotPackages();
+    const summary = { date, ordersCreated: 0, generated: [], missing: [], failed: [], ended: 0 };
+
+    for (const subscription of subscriptions) {
+        if (subscription.endDate && subscription.endDate < today) {
+            await dynamoDB.update({
+                TableName: SUBSCRIPTIONS_TABLE,
+                Key: { id: subscription.id },
+                UpdateExpression: 'SET #status = :ended, updatedAt = :now',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':ended': 'ended', ':now': new Date().toISOString() }
+            }).promise();
+            summary.ended += 1;
+            continue;
+        }
+
+        if (deliveryDatesBetween(subscription, date, date).length === 0) {
+            continue;
+        }
+
+        try {
+            const { orders, missing } = await generateOrdersForDate(subscription, date, packages);
+            if (orders.length > 0) {
+                summary.ordersCreated += orders.length;
+                summary.generated.push({ subscriptionId: subscription.id, orderIds: orders.map(order => order.id) });
+            }
+            if (missing.length > 0) {
+                summary.missing.push({ subscriptionId: subscription.id, mealTypes: missing });
+            }
+        } catch (error) {
+            console.error(`Subscription ${subscription.id}: order generation for ${date} failed:`, error.message);
+            const placed = error.orders || [];
+            if (placed.length > 0) {
+                summary.ordersCreated += placed.length;
+                summary.generated.push({ subscriptionId: subscription.id, orderIds: placed.map(order => order.id) });
+            }
+            summary.failed.push({ subscriptionId: subscription.id, error: error.message });
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Generate subscription orders now (the scheduler normally does this)
+ * Body: { date? } - delivery date, defaults to SUBSCRIPTION_GENERATE_DAYS_AHEAD from today
+ * @route POST /api/subscriptions/generate
+ */
+const generateOrders = async (req, res) => {
+    try {
+        const { date } = req.body || {};
+        const today = getIstDateString();
+
+        // generatedThrough only moves forward, so generating further ahead would skip the days in between
+        if (date !== undefined && (!isValidDateString(date) || date <= today || date > addDays(today, GENERATE_DAYS_AHEAD))) {
+            return res.status(400).json({
+                success: false,
+                message: `Date must be between ${addDays(today, 1)} and ${addDays(today, GENERATE_DAYS_AHEAD)}`
+            });
+        }
+
+        const summary = await generateSubscriptionOrders(date);
+
+        res.status(200).json({
+            success: true,
+            message: `Created ${summary.ordersCreated} subscription order(s) for ${summary.date}`,
+            data: summary
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to generate subscription orders', 'Generate subscription orders');
+    }
+};
+
+module.exports = {
+    SUBSCRIPTIONS_TABLE,
+    listCustomerSubscriptions,
+    generateSubscriptionOrders,
+    quoteSubscription,
+    createSubscription,
+    getMySubscriptions,
+    getMySubscription,
+    skipSubscriptionDate,
+    unskipSubscriptionDate,
+    pauseSubscription,
+    resumeSubscription,
+    cancelSubscription,
+    getAllSubscriptions,
+    generateOrders
+};
@@ -0,0 +1,398 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ADMIN_ROLES } = require('./adminService');
+const { RIDERS_TABLE } = require('./riderAccounts');
+
+// Configure AWS DynamoDB
+const dynamoDB = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const SESSIONS_TABLE = process.env.DYNAMODB_SESSIONS_TABLE || 'satvamirtham-sessions';
+
+// Access tokens are short-lived; refresh tokens are opaque and stored (hashed) per session
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// lastSeenAt is refreshed at most this often from authenticated requests
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+/**
+ * Build an error carrying an HTTP status for the handlers to relay
+ */
+const sessionError = (message, status = 401) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sessions are grouped per account so they can be revoked together
+ * Riders are keyed by rider ID, admins by email, customers by phone
+ */
+const getSessionSubject = (claims) => {
+    if (claims.role === 'rider') {
+        return `rider#${claims.riderId}`;
+    }
+    if (ADMIN_ROLES.includes(claims.role)) {
+        return `admin#${claims.email}`;
+    }
+    return `user#${claims.phone}`;
+};
+
+/**
+ * Describe the device a login comes from, for the sessions list
+ * Apps send deviceName/platform in the login body (or X-Device-Name / X-Platform headers).
+ */
+const describeDevice = (req) => {
+    const body = req.body || {};
+    const deviceName = body.deviceName || req.get('X-Device-Name');
+    const platform = String(body.platform || req.get('X-Platform') || '').toLowerCase();
+
+    return {
+        deviceName: typeof deviceName === 'string' && deviceName.trim()
+            ? deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH)
+            : 'Unknown device',
+        platform: DEVICE_PLATFORMS.includes(platform) ? platform : 'unknown',
+        userAgent: (req.get('User-Agent') || '').slice(0, 256) || null,
+        ip: req.ip || null
+    };
+};
+
+const signAccessToken = (claims, sessionId) => {
+    return jwt.sign(
+        { ...claims, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Split "<sessionId>.<secret>" refresh tokens
+ */
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) {
+        return null;
+    }
+    const [sessionId, secret] = refreshToken.split('.');
+    return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const getSession = async (sessionId) => {
+    const result = await dynamoDB.get({
+        TableName: SESSIONS_TABLE,
+        Key: { id: sessionId }
+    }).promise();
+
+    return result.Item || null;
+};
+
+const isSessionUsable = (session) => {
+    return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+};
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {Object} claims - JWT claims (phone, name, role, ...)
+ * @param {Object} [device] - from describeDevice(req)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+const issueTokens = async (claims, device = {}) => {
+    const sessionId = crypto.randomUUID();
+    const secret = newRefreshSecret();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const session = {
+        id: sessionId,
+        subject: getSessionSubject(claims),
+        claims,
+        refreshTokenHash: hashToken(secret),
+        deviceName: device.deviceName || 'Unknown device',
+        platform: device.platform || 'unknown',
+        userAgent: device.userAgent || null,
+        ip: device.ip || null,
+        fcmToken: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        ttl: Math.floor(expiresAt.getTime() / 1000) // DynamoDB TTL attribute
+    };
+
+    await dynamoDB.put({
+        TableName: SESSIONS_TABLE,
+        Item: session,
+        ConditionExpression: 'attribute_not_exists(id)'
+    }).promise();
+
+    return {
+        token: signAccessToken(claims, sessionId),
+        refreshToken: `${sessionId}.${secret}`,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+/**
+ * Stop pushes to a revoked rider device
+ * The rider record holds the push target; it is only cleared if it still belongs to this
+ * session (or, for tokens registered before sessions tracked them, is the same FCM token).
+ */
+const releasePushToken = async (session) => {
+    if (!session.fcmToken || !session.subject.startsWith('rider#')) {
+        return;
+    }
+
+    await dynamoDB.update({
+        TableName: RIDERS_TABLE,
+        Key: { id: session.subject.slice('rider#'.length) },
+        UpdateExpression: 'REMOVE fcmToken, fcmSessionId SET updatedAt = :now',
+        ConditionExpression: 'fcmSessionId = :sessionId OR (attribute_not_exists(fcmSessionId) AND fcmToken = :token)',
+        ExpressionAttributeValues: {
+            ':sessionId': session.id,
+            ':token': session.fcmToken,
+            ':now': new Date().toISOString()
+        }
+    }).promise().catch((error) => {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    });
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+    let session;
+    try {
+        const result = await dynamoDB.update({
+            TableName: SESSIONS_TABLE,
+            Key: { id: sessionId },
+            UpdateExpression: 'SET revokedAt = :now, revokedReason = :reason, updatedAt = :now',
+            ConditionExpression: 'attribute_exists(id)',
+            ExpressionAttributeValues: {
+                ':now': new Date().toISOString(),
+                ':reason': reason
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        session = result.Attributes;
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+        return;
+    }
+
+    await releasePushToken(session);
+};
+
+/**
+ * Active (not revoked, not expired) sessions of an account
+ * @param {string} subject - e.g. "user#9876543210" or "rider#RDR123"
+ */
+const listSessions = async (subject) => {
+    const sessions = [];
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.query({
+            TableName: SESSIONS_TABLE,
+            IndexName: 'subject-index',
+            KeyConditionExpression: 'subject = :subject',
+            FilterExpression: 'attribute_not_exists(revokedAt)',
+            ExpressionAttributeValues: { ':subject': subject },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        sessions.push(...(result.Items || []).filter(isSessionUsable));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return sessions;
+};
+
+/**
+ * Revoke every session of an account (logout everywhere, deactivation, password change)
+ * @param {string} subject - e.g. "user#9876543210" or "rider#RDR123"
+ * @param {string} [reason]
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - keep this session (e.g. "log out other devices")
+ * @returns {Promise<number>} number of sessions revoked
+ */
+const revokeAllSessions = async (subject, reason = 'revoked', options = {}) => {
+    let revoked = 0;
+    let lastKey;
+
+    do {
+        const result = await dynamoDB.query({
+            TableName: SESSIONS_TABLE,
+            IndexName: 'subject-index',
+            KeyConditionExpression: 'subject = :subject',
+            FilterExpression: 'attribute_not_exists(revokedAt)',
+            ExpressionAttributeValues: { ':subject': subject },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        for (const session of result.Items || []) {
+            if (session.id === options.exceptSessionId) {
+                continue;
+            }
+            await revokeSession(session.id, reason);
+            revoked += 1;
+        }
+
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return revoked;
+};
+
+/**
+ * Record the FCM registration token of the device holding a session
+ */
+const setSessionPushToken = async (sessionId, fcmToken) => {
+    await dynamoDB.update({
+        TableName: SESSIONS_TABLE,
+        Key: { id: sessionId },
+        UpdateExpression: 'SET fcmToken = :token, updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(revokedAt)',
+        ExpressionAttributeValues: {
+            ':token': fcmToken,
+            ':now': new Date().toISOString()
+        }
+    }).promise();
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated refresh token revokes the whole session.
+ */
+const rotateRefreshToken = async (refreshToken, ip = null) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw sessionError('Invalid refresh token');
+    }
+
+    const session = await getSession(parsed.sessionId);
+    if (!isSessionUsable(session)) {
+        throw sessionError('Session has expired or was revoked. Please log in again.');
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (presentedHash !== session.refreshTokenHash) {
+        // Old token replayed: assume it was stolen and kill the session
+        await revokeSession(session.id, 'refresh_token_reuse');
+        throw sessionError('Session has expired or was revoked. Please log in again.');
+    }
+
+    const secret = newRefreshSecret();
+
+    try {
+        await dynamoDB.update({
+            TableName: SESSIONS_TABLE,
+            Key: { id: session.id },
+            UpdateExpression: 'SET refreshTokenHash = :newHash, updatedAt = :now, lastSeenAt = :now, ip = :ip',
+            ConditionExpression: 'refreshTokenHash = :oldHash AND attribute_not_exists(revokedAt)',
+            ExpressionAttributeValues: {
+                ':newHash': hashToken(secret),
+                ':oldHash': presentedHash,
+                ':now': new Date().toISOString(),
+                ':ip': ip || session.ip || null
+            }
+        }).promise();
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            // Lost a race with a concurrent refresh using the same token
+            throw sessionError('Session has expired or was revoked. Please log in again.');
+        }
+        throw error;
+    }
+
+    return {
+        token: signAccessToken(session.claims, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+};
+
+/**
+ * Look up the session a refresh token belongs to (without rotating it)
+ */
+const getSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return null;
+    }
+
+    const session = await getSession(parsed.sessionId);
+    if (!session || session.refreshTokenHash !== hashToken(parsed.secret)) {
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * The session behind an access token's sid claim, if it is still valid
+ * @returns {Promise<Object|null>}
+ */
+const getActiveSession = async (sessionId) => {
+    if (!sessionId) {
+        return null;
+    }
+    const session = await getSession(sessionId);
+    return isSessionUsable(session) ? session : null;
+};
+
+/**
+ * Update lastSeenAt/ip for the sessions list, at most every few minutes per session
+ * Best effort: failures are logged, never surfaced to the request.
+ */
+const touchSession = async (session, ip) => {
+    const lastSeen = new Date(session.lastSeenAt || session.createdAt).getTime();
+    if (Date.now() - lastSeen < SESSION_TOUCH_INTERVAL_MS && (!ip || ip === session.ip)) {
+        return;
+    }
+
+    try {
+        await dynamoDB.update({
+            TableName: SESSIONS_TABLE,
+            Key: { id: session.id },
+            UpdateExpression: 'SET lastSeenAt = :now, ip = :ip',
+            ConditionExpression: 'attribute_exists(id)',
+            ExpressionAttributeValues: {
+                ':now': new Date().toISOString(),
+                ':ip': ip || session.ip || null
+            }
+        }).promise();
+    } catch (error) {
+        console.error('Session touch failed:', error.message);
+    }
+};
+
+module.exports = {
+    SESSIONS_TABLE,
+    getSessionSubject,
+    describeDevice,
+    issueTokens,
+    rotateRefreshToken,
+    getSessionByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    setSessionPushToken,
+    getActiveSession,
+    touchSession
+};
@@ -1,4 +1,6 @@
 const AWS = require('aws-sdk');
+const { revokeAllSessions } = require('./tokenService');
+const { parseLimit, queryPage } = require('./pagination');
 
 // Configure AWS DynamoDB
 const dynamoDB = new AWS.DynamoDB.DocumentClient({
@@ -10,42 +12,54 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 const TABLE_NAME = process.env.DYNAMODB_TABLE;
 
 /**
- * Get all users from DynamoDB
+ * Get all customers, newest first
+ * Query: limit? (default 100, max 200), cursor? (nextCursor of the previous page)
  * @route GET /api/users
  */
 const getAllUsers = async (req, res) => {
     try {
-        const params = {
-            TableName: TABLE_NAME,
-            FilterExpression: '#role = :userRole',
-            ExpressionAttributeNames: {
-                '#role': 'role'
+        const limit = parseLimit(req.query.limit);
+
+        const { items, nextCursor } = await queryPage({
+            query: {
+                TableName: TABLE_NAME,
+                IndexName: 'role-createdAt-index',
+                KeyConditionExpression: '#role = :userRole',
+                ExpressionAttributeNames: {
+                    '#role': 'role'
+                },
+                ExpressionAttributeValues: {
+                    ':userRole': 'user'
+                }
             },
-            ExpressionAttributeValues: {
-                ':userRole': 'user'
-            }
-        };
-
-        const result = await dynamoDB.scan(params).promise();
+            keyAttributes: ['phone', 'role', 'createdAt'],
+            limit,
+            cursor: req.query.cursor
+        });
 
         // Remove sensitive data (password) from response
-        const users = (result.Items || []).map(user => {
+        const users = items.map(user => {
             const { password, ...userWithoutPassword } = user;
             return userWithoutPassword;
         });
 
-        // Sort by createdAt (newest first)
-        users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
         res.json({
             success: true,
             data: {
                 users,
-                count: users.length
+                count: users.length,
+                nextCursor
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('Error fetching users:', error);
         res.status(500).json({
             success: false,
@@ -178,6 +192,14 @@ const updateUserStatus = async (req, res) => {
 
         const result = await dynamoDB.update(params).promise();
 
+        // Deactivated accounts lose every session immediately
+        if (!isActive) {
+            await revokeAllSessions(`user#${phone}`, 'account_deactivated');
+            if (result.Attributes.riderId) {
+                await revokeAllSessions(`rider#${result.Attributes.riderId}`, 'account_deactivated');
+            }
+        }
+
         // Remove password from response
         const { password, ...userWithoutPassword } = result.Attributes;
 